@@ -0,0 +1,266 @@
+/**
+ * Activity and power action state shared by all workers (see power.js)
+ *
+ * The idle shutdown has to know about solves on every worker, only one
+ * process may start or stop the VM at a time and only one, the leader, runs
+ * the idle checker. Rate limits and quotas (see limits.js) have to count the
+ * requests of every worker too. That state is kept in a store chosen with
+ * the POWER_STORE environment variable:
+ *  'cluster' (default under throng)
+ *     the cluster master keeps the state, workers ask it over IPC
+ *  'memory' (default otherwise)
+ *     the state lives in this process, for running without a cluster
+ *  path to a module
+ *     a custom store, e.g. to share the state between several appservers,
+ *     exporting an object with the async methods of MemoryStore
+ *
+ * Processes are identified by `<hostname>:<pid>`. When a worker exits, the
+ * cluster master forgets its solves, its power action and its leadership.
+ * Custom stores rely on the leader and action leases running out.
+ */
+const cluster = require('cluster')
+const crypto = require('crypto')
+const os = require('os')
+const path = require('path')
+
+const MESSAGE = 'appserver:activity'
+
+// how long a worker waits for the cluster master to answer, in ms
+const CALL_TIMEOUT = 5000
+
+// what workers may call
+const METHODS = ['touch', 'started', 'begin', 'end', 'acquire', 'release', 'lead', 'get', 'take', 'tokens', 'usage', 'record']
+
+// how often refilled buckets and old usage are forgotten, in ms
+const PRUNE_INTERVAL = 60 * 1000
+
+/**
+ * Id of a process, as used for the owner of solves, actions and leadership
+ */
+function processId(pid = process.pid) {
+  return `${os.hostname()}:${pid}`
+}
+
+class MemoryStore {
+  constructor() {
+    this.lastActivity = Date.now()
+    this.lastStart = 0
+    this.solves = new Map()
+    this.action = null
+    this.leader = null
+    this.buckets = new Map()
+    this.usages = new Map()
+    this.pruned = Date.now()
+  }
+
+  /**
+   * Record activity at a time (ms)
+   */
+  async touch(time) {
+    this.lastActivity = Math.max(this.lastActivity, time)
+  }
+
+  /**
+   * Record that the VM was started at a time (ms), which is activity too
+   */
+  async started(time) {
+    this.lastStart = Math.max(this.lastStart, time)
+    await this.touch(time)
+  }
+
+  /**
+   * A solve started. Solves in flight count as activity until they end.
+   */
+  async begin(token, owner) {
+    this.solves.set(token, owner)
+  }
+
+  async end(token) {
+    this.solves.delete(token)
+  }
+
+  /**
+   * Take the lock for a power action
+   * @returns {boolean} false if another action is in progress
+   */
+  async acquire(action, owner, ttl) {
+    const now = Date.now()
+    if (this.action && this.action.expires > now) return false
+    this.action = { name: action, owner, expires: now + ttl }
+    return true
+  }
+
+  async release(owner) {
+    if (this.action && this.action.owner === owner) this.action = null
+  }
+
+  /**
+   * Become or stay the leader for a while (ms)
+   * @returns {boolean} whether the candidate is the leader
+   */
+  async lead(candidate, ttl) {
+    const now = Date.now()
+    if (!this.leader || this.leader.expires <= now || this.leader.id === candidate)
+      this.leader = { id: candidate, expires: now + ttl }
+    return this.leader.id === candidate
+  }
+
+  /**
+   * Forget everything a process owned, e.g. when it exited
+   */
+  async drop(owner) {
+    for (const [token, solveOwner] of this.solves)
+      if (solveOwner === owner) this.solves.delete(token)
+    await this.release(owner)
+    if (this.leader && this.leader.id === owner) this.leader = null
+  }
+
+  /**
+   * Take a token from a rate limit bucket that holds `requests` tokens and
+   * refills in `seconds`
+   * @returns {object} { allowed, remaining, retryAfter } (retryAfter in s)
+   */
+  async take(key, requests, seconds) {
+    this.prune()
+    const rate = requests / (seconds * 1000)
+    const now = Date.now()
+    const bucket = this.refill(key, requests, rate, now)
+    this.buckets.set(key, bucket)
+
+    if (bucket.tokens < 1)
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / rate / 1000) }
+    bucket.tokens -= 1
+    // once it is full again the bucket can be forgotten
+    bucket.full = now + (requests - bucket.tokens) / rate
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 }
+  }
+
+  /**
+   * Tokens left in a bucket, without taking one
+   */
+  async tokens(key, requests, seconds) {
+    return Math.floor(this.refill(key, requests, requests / (seconds * 1000), Date.now()).tokens)
+  }
+
+  refill(key, requests, rate, now) {
+    const bucket = this.buckets.get(key) || { tokens: requests, updated: now }
+    bucket.tokens = Math.min(requests, bucket.tokens + (now - bucket.updated) * rate)
+    bucket.updated = now
+    return bucket
+  }
+
+  /**
+   * What a client used on a day ('YYYY-MM-DD')
+   * @returns {object} { solves, computeSeconds }
+   */
+  async usage(id, day) {
+    const entry = this.usages.get(id)
+    return entry && entry.day === day
+      ? { solves: entry.solves, computeSeconds: entry.computeSeconds }
+      : { solves: 0, computeSeconds: 0 }
+  }
+
+  /**
+   * Count a solve and the seconds compute spent on it
+   */
+  async record(id, day, seconds) {
+    this.prune()
+    const used = await this.usage(id, day)
+    this.usages.set(id, { day, solves: used.solves + 1, computeSeconds: used.computeSeconds + seconds })
+  }
+
+  /**
+   * Forget buckets that have refilled and usage from previous days
+   */
+  prune() {
+    const now = Date.now()
+    if (now - this.pruned < PRUNE_INTERVAL) return
+    this.pruned = now
+    const today = new Date(now).toISOString().slice(0, 10)
+    for (const [key, bucket] of this.buckets)
+      if (bucket.full <= now) this.buckets.delete(key)
+    for (const [id, entry] of this.usages)
+      if (entry.day < today) this.usages.delete(id)
+  }
+
+  async get() {
+    const now = Date.now()
+    return {
+      lastActivity: this.lastActivity,
+      lastStart: this.lastStart,
+      inFlight: this.solves.size,
+      action: this.action && this.action.expires > now ? this.action.name : null,
+      leader: this.leader && this.leader.expires > now ? this.leader.id : null
+    }
+  }
+}
+
+/**
+ * Store used by workers, every call is answered by the cluster master
+ */
+class ClusterStore {
+  constructor() {
+    this.pending = new Map()
+    process.on('message', message => {
+      const reply = message && message[MESSAGE]
+      if (!reply || !this.pending.has(reply.id)) return
+      const { resolve, reject, timer } = this.pending.get(reply.id)
+      this.pending.delete(reply.id)
+      clearTimeout(timer)
+      if (reply.error) reject(new Error(reply.error))
+      else resolve(reply.result)
+    })
+  }
+
+  call(method, args) {
+    return new Promise((resolve, reject) => {
+      const id = crypto.randomUUID()
+      const timer = setTimeout(() => {
+        this.pending.delete(id)
+        reject(new Error(`The cluster master didn't answer ${method}`))
+      }, CALL_TIMEOUT)
+      this.pending.set(id, { resolve, reject, timer })
+      process.send({ [MESSAGE]: { id, method, args } })
+    })
+  }
+}
+
+for (const method of METHODS)
+  ClusterStore.prototype[method] = function (...args) { return this.call(method, args) }
+
+function createStore() {
+  const type = process.env.POWER_STORE || (cluster.isWorker ? 'cluster' : 'memory')
+  switch (type) {
+  case 'cluster':
+    if (cluster.isWorker && process.send) return new ClusterStore()
+    return new MemoryStore()
+  case 'memory':
+    return new MemoryStore()
+  default:
+    return require(path.resolve(type))
+  }
+}
+
+/**
+ * Called from the cluster master. Keeps the state for the workers and
+ * forgets what a worker owned when it exits.
+ */
+function serveWorkers() {
+  const store = new MemoryStore()
+
+  cluster.on('message', async (worker, message) => {
+    const call = message && message[MESSAGE]
+    if (!call || !METHODS.includes(call.method)) return
+    const reply = { id: call.id }
+    try {
+      reply.result = await store[call.method](...(call.args || []))
+    } catch (error) {
+      reply.error = error.message
+    }
+    if (worker.isConnected()) worker.send({ [MESSAGE]: reply })
+  })
+
+  cluster.on('exit', worker => store.drop(processId(worker.process.pid)))
+}
+
+module.exports = { createStore, serveWorkers, processId }
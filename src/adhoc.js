@@ -0,0 +1,101 @@
+/**
+ * Ad-hoc definitions
+ *
+ * Definitions outside the definition roots can be described (see
+ * routes/index.js `/definition_description?path=`) when ADHOC_DEFINITIONS is
+ * 'true'. Only files under one of the directories in ADHOC_ROOTS (comma
+ * separated) are accepted.
+ *
+ * Ad-hoc definitions are kept in their own registry, apart from the
+ * definitions that are published on the server, and are forgotten
+ * ADHOC_TTL seconds (default 3600) after they were last used. While they are
+ * registered, compute can download them like other definitions (see
+ * routes/definition.js).
+ */
+const fs = require('fs')
+const path = require('path')
+const md5File = require('md5-file')
+const createError = require('http-errors')
+
+const TTL = parseInt(process.env.ADHOC_TTL || '3600', 10) * 1000
+
+const registry = new Map()
+
+function enabled() {
+  return process.env.ADHOC_DEFINITIONS === 'true'
+}
+
+/**
+ * The allowed directories, resolved so symlinks can't be used to get out
+ */
+function adhocRoots() {
+  return (process.env.ADHOC_ROOTS || '')
+    .split(',')
+    .map(dir => dir.trim())
+    .filter(dir => dir && fs.existsSync(dir))
+    .map(dir => fs.realpathSync(dir))
+}
+
+function isInside(file, dir) {
+  const relative = path.relative(dir, file)
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative)
+}
+
+/**
+ * Check a requested path and resolve it to the real path of the file
+ */
+function resolvePath(requested) {
+  if (!requested || typeof requested !== 'string')
+    throw createError(400, 'Pass the absolute path of a definition in `path`')
+  if (!path.isAbsolute(requested) || requested.split(/[\\/]/).includes('..'))
+    throw createError(400, `Invalid definition path: ${requested}`)
+  if (!requested.endsWith('.gh') && !requested.endsWith('.ghx'))
+    throw createError(400, 'Definitions must be .gh or .ghx files')
+
+  // the same answer for missing files and files that aren't allowed, so
+  // the route can't be used to find out what exists on the server
+  const notAllowed = createError(404, `Definition not found or not allowed: ${requested}`)
+  if (!fs.existsSync(requested)) throw notAllowed
+  const file = fs.realpathSync(requested)
+  if (!adhocRoots().some(dir => isInside(file, dir)) || !fs.statSync(file).isFile())
+    throw notAllowed
+  return file
+}
+
+function prune() {
+  const now = Date.now()
+  for (const [key, definition] of registry)
+    if (definition.expires <= now) registry.delete(key)
+}
+
+/**
+ * Register a definition by path, or renew it if it is registered already.
+ * A file that changed is registered again with its new hash.
+ */
+function register(requested) {
+  if (!enabled())
+    throw createError(403, 'Ad-hoc definitions are disabled. Set ADHOC_DEFINITIONS=true to enable them.')
+  prune()
+
+  const file = resolvePath(requested)
+  const id = md5File.sync(file)
+  let definition = registry.get(file)
+  if (!definition || definition.id !== id) {
+    definition = { name: file, id, path: file, adhoc: true }
+    registry.set(file, definition)
+  }
+  definition.expires = Date.now() + TTL
+  return definition
+}
+
+/**
+ * A registered ad-hoc definition by id (md5), if it hasn't expired
+ */
+function find(id) {
+  prune()
+  for (const definition of registry.values())
+    if (definition.id === id) return definition
+  return undefined
+}
+
+module.exports = { register, find }
@@ -5,9 +5,13 @@ const logger = require('morgan')
 const cors = require('cors')
 const fs = require('fs');
 const path = require('path');
-const fetch = require('node-fetch'); 
-const { ComputeManagementClient } = require("@azure/arm-compute");
-const { DefaultAzureCredential } = require("@azure/identity");
+const events = require('./events')
+const backends = require('./backends')
+const compute = require('./compute')
+const { authenticate, requireScope, checkDefinitionAccess } = require('./auth')
+const limits = require('./limits')
+const power = require('./power')
+const replay = require('./replay')
 
 // create express web server app
 const app = express()
@@ -16,11 +20,19 @@ const app = express()
 if(process.env.NODE_ENV !== 'production')
   app.use(logger('dev'))
 
+// behind a load balancer the client address comes from X-Forwarded-For,
+// which rate limits need (see limits.js). 'true' or the number of proxies
+if (process.env.TRUST_PROXY)
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY === 'true')
+
 app.use(express.json({limit: '10mb'}))
 app.use(express.urlencoded({ extended: false }))
 app.use(cors())
 app.use(compression())
 
+// work out who the client is, routes check scopes (see auth.js)
+app.use(authenticate)
+
 // Define URL for our compute server
 const argIndex = process.argv.indexOf('--computeUrl')
 if (argIndex > -1)
@@ -31,88 +43,39 @@ if (!process.env.RHINO_COMPUTE_URL)
 console.log('RHINO_COMPUTE_URL: ' + process.env.RHINO_COMPUTE_URL)
 
 // =============================================================================
-//   AZURE COMPUTE POWER MANAGEMENT & IDLE SHUTDOWN
+//   COMPUTE POWER MANAGEMENT & IDLE SHUTDOWN (see power.js)
 // =============================================================================
 
-const AZURE_SUB_ID = process.env.AZURE_SUBSCRIPTION_ID;
-const AZURE_RG = process.env.AZURE_RESOURCE_GROUP;
-const AZURE_VM = process.env.AZURE_VM_NAME;
-
-// Track last activity time (default to now so we don't shutdown immediately on boot)
-let lastActivity = Date.now();
-let isVmActionInProgress = false;
-
-// Middleware to update last activity on solve requests
-app.use('/solve', (req, res, next) => {
-    lastActivity = Date.now();
-    res.on('finish', () => { lastActivity = Date.now(); });
+// Solves count as activity, which postpones the idle shutdown
+app.use('/solve', requireScope('solve'), (req, res, next) => {
+    power.touch();
+    res.on('finish', () => power.touch());
     next();
 });
 
-// Helper to get Azure Client
-function getComputeClient() {
-    if (!AZURE_SUB_ID || !AZURE_RG || !AZURE_VM) return null;
-    const credential = new DefaultAzureCredential();
-    return new ComputeManagementClient(credential, AZURE_SUB_ID);
-}
-
 // Route to manually wake up the VM
-app.post('/wakeup', async (req, res) => {
-    const client = getComputeClient();
-    if (!client) {
-        return res.status(500).json({ error: "Azure environment variables not set." });
-    }
-    
-    // Avoid spamming start commands
-    if (isVmActionInProgress) {
-        return res.status(202).json({ message: "VM action already in progress." });
+app.post('/wakeup', requireScope('wakeup'), limits.rateLimit('wakeup'), async (req, res) => {
+    if (!power.isManaged()) {
+        return res.status(500).json({ error: "Power management is not configured (POWER_PROVIDER)." });
     }
 
     try {
-        isVmActionInProgress = true;
-        console.log(`Starting Azure VM: ${AZURE_VM}...`);
-        // We use beginStart but don't wait for completion so the UI can poll health check
-        await client.virtualMachines.beginStart(AZURE_RG, AZURE_VM);
+        const { started } = await power.wake(limits.clientId(req));
+        // Avoid spamming start commands
+        if (!started) {
+            return res.status(202).json({ message: "VM action already in progress." });
+        }
         res.json({ message: "Start command sent." });
     } catch (err) {
         console.error("Failed to start VM:", err);
         res.status(500).json({ error: err.message });
-    } finally {
-        isVmActionInProgress = false;
-        // Reset idle timer so we don't shut down immediately after waking
-        lastActivity = Date.now();
     }
 });
 
-// IDLE CHECKER (Runs every minute)
-// Shuts down VM if idle for > 30 mins
-setInterval(async () => {
-    const IDLE_LIMIT = 30 * 60 * 1000; // 30 minutes
-    const timeSinceActive = Date.now() - lastActivity;
-
-    if (timeSinceActive > IDLE_LIMIT && !isVmActionInProgress) {
-        const client = getComputeClient();
-        if (client) {
-            try {
-                // Check status first to avoid errors if already stopped
-                const instanceView = await client.virtualMachines.instanceView(AZURE_RG, AZURE_VM);
-                const isRunning = instanceView.statuses.some(s => s.code && s.code.includes("PowerState/running"));
-
-                if (isRunning) {
-                    console.log(`VM idle for ${Math.floor(timeSinceActive/60000)} mins. Stopping VM...`);
-                    isVmActionInProgress = true;
-                    // beginDeallocate stops billing; beginPowerOff does not.
-                    await client.virtualMachines.beginDeallocate(AZURE_RG, AZURE_VM);
-                    console.log("VM Deallocation initiated.");
-                }
-            } catch (err) {
-                console.error("Idle shutdown error:", err.message);
-            } finally {
-                isVmActionInProgress = false;
-            }
-        }
-    }
-}, 60 * 1000);
+app.use('/power', require('./routes/power'))
+
+// Stop the VM when idle, push power state changes to clients on /events
+power.startIdleChecker();
 // =============================================================================
 
 app.set('view engine', 'hbs');
@@ -123,34 +86,33 @@ app.use('/cnc', express.static(__dirname + '/pages/cnc'))
 app.use('/health', express.static(__dirname + '/pages/health'))
 app.get('/favicon.ico', (req, res) => res.sendFile(path.join(__dirname, 'files', 'favicon.ico')))
 app.use('/definition', require('./routes/definition'))
+app.use('/definitions', require('./routes/definitions'))
 
-// --- NEW: Proxy Healthcheck to Compute Server ---
-app.get('/healthcheck', async (req, res) => {
-  const computeUrl = process.env.RHINO_COMPUTE_URL;
-  const apiKey = process.env.RHINO_COMPUTE_KEY; 
-  
-  // Ensure we construct the URL correctly regardless of trailing slash
-  const url = computeUrl.endsWith('/') ? computeUrl + 'healthcheck' : computeUrl + '/healthcheck';
-
-  try {
-    const response = await fetch(url, {
-        headers: {
-            'RhinoComputeKey': apiKey 
-        }
-    });
+app.use('/events', require('./routes/events'))
 
-    if (response.ok) {
-        const text = await response.text();
-        res.status(200).send(text); // Usually returns "healthy"
-    } else {
-        res.status(response.status).send(`Compute Server returned ${response.status}`);
-    }
-  } catch (error) {
-    res.status(500).send(`AppServer could not reach Compute Server: ${error.message}`);
+// Push compute health changes to clients listening on /events
+events.watch('health', 5 * 1000, async () => {
+  await compute.checkAll()
+  const status = backends.status()
+  return {
+    healthy: status.some(b => b.healthy),
+    backends: status.map(b => ({ name: b.name, healthy: b.healthy }))
   }
-});
+})
+
+// --- NEW: Proxy Healthcheck to Compute Server ---
+// healthy as long as one of the compute backends is
+app.get('/healthcheck', async (req, res) => {
+  const results = await compute.checkAll()
+  const healthy = results.some(result => result.status === 200)
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'healthy' : 'unhealthy',
+    backends: backends.status()
+  })
+})
 
 // --- HEALTH CHECK API UTILS ---
+app.use('/api/health', requireScope('health'))
 
 // 1. API: Get List of Files
 app.get('/api/health/files', (req, res) => {
@@ -164,51 +126,49 @@ app.get('/api/health/files', (req, res) => {
 
 // 2. API: Check API Key (Server-side to protect the key)
 app.get('/api/health/check-auth', async (req, res) => {
-  const computeUrl = process.env.RHINO_COMPUTE_URL;
-  const apiKey = process.env.RHINO_COMPUTE_KEY; 
-  
-  const url = computeUrl.endsWith('/') ? computeUrl + 'healthcheck' : computeUrl + '/healthcheck';
-
-  try {
-    const response = await fetch(url, {
-      headers: { 'RhinoComputeKey': apiKey }
-    });
-    if (response.status === 200) {
-      res.json({ status: 'pass', message: 'API Key accepted by Compute Server' });
-    } else {
-      res.json({ status: 'fail', message: `Server returned ${response.status}` });
-    }
-  } catch (error) {
-    res.json({ status: 'fail', message: error.message });
+  const results = await compute.checkAll()
+  const failed = backends.all()
+    .map((backend, i) => ({ name: backend.name, result: results[i] }))
+    .filter(({ result }) => result.status !== 200)
+    .map(({ name, result }) => `${name}: ${result.status ? `Server returned ${result.status}` : result.text}`)
+
+  if (failed.length === 0) {
+    res.json({ status: 'pass', message: 'API Key accepted by Compute Server' })
+  } else {
+    res.json({ status: 'fail', message: failed.join(', ') })
   }
-});
+})
 
 // 3. API: Simulate Hops
-app.post('/api/health/test-hops', async (req, res) => {
-  // FIX: Point to the files where they actually exist in src/examples/health/files/
-  const ioPath = path.join(__dirname, 'pages/health/files/hops_io.json');
-  const solvePath = path.join(__dirname, 'pages/health/files/hops_solve.json');
-
-  if (!fs.existsSync(ioPath) || !fs.existsSync(solvePath)) {
-    // Helpful debug message if it fails again
-    console.error(`Files not found at: ${ioPath} or ${solvePath}`);
-    return res.json({ status: 'yellow', message: 'Simulation files (hops_io.json, hops_solve.json) not found in src/examples/health/files/.' });
-  }
-
+// Replays the captured Hops requests next to the health page against compute
+// and compares the results with the expected outputs (see replay.js)
+app.post('/api/health/test-hops', async (req, res, next) => {
   try {
-    // Ideally this would send the payloads to the /solve endpoint
-    res.json({ status: 'pass', message: 'Simulation files loaded.' });
+    res.json(await replay.replayFixtures(path.join(__dirname, 'pages/health/files')));
   } catch (err) {
-    res.json({ status: 'fail', message: 'Error reading simulation files: ' + err.message });
+    next(err);
   }
 });
 
 
 app.use('/solve', require('./routes/solve'))
-app.use('/view', require('./routes/template'))
+app.use('/io', requireScope('solve'), require('./routes/io'))
+app.use('/view', requireScope('definitions:read'), require('./routes/template'))
 app.use('/version', require('./routes/version'))
+app.use('/usage', require('./routes/usage'))
+app.use('/regression', require('./routes/regression'))
 app.use('/', require('./routes/index'))
-app.use('/files', express.static(__dirname + '/files'));
+// raw definitions are only served to clients that may use them
+app.use('/files', requireScope('definitions:read'), (req, res, next) => {
+  if (/\.ghx?$/.test(req.path)) {
+    try {
+      checkDefinitionAccess(req, decodeURIComponent(req.path.slice(1)))
+    } catch (error) {
+      return next(error)
+    }
+  }
+  next()
+}, express.static(__dirname + '/files'));
 
 // ref: https://github.com/expressjs/express/issues/3589
 // remove line when express@^4.17
@@ -226,6 +186,12 @@ app.use(function(err, req, res, next) {
   console.error(err)
   res.locals.error = req.app.get('env') === 'development' ? err : {}
   data = { message: err.message }
+  // structured details for client errors, e.g. the valid input names
+  if (err.expose && err.details)
+    Object.assign(data, err.details)
+  // e.g. Retry-After for 429s
+  if (err.expose && err.headers)
+    res.set(err.headers)
   if (req.app.get('env') === 'development')
   {
     data.stack = err.stack
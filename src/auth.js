@@ -0,0 +1,241 @@
+/**
+ * Access control for appserver routes
+ *
+ * Clients authenticate with an API key or a signed JWT, passed as a bearer
+ * token (API keys can also be sent in the X-Api-Key header):
+ *   Authorization: Bearer <key or token>
+ *
+ * API keys are read from APPSERVER_KEYS_FILE, a json file that is reloaded
+ * when it changes, so keys can be added and revoked without a redeploy:
+ *   { "keys": [{ "name": "acme", "key": "...", "scopes": ["solve"], "definitions": ["acme/*"] }] }
+ * `keyHash` (the sha256 of the key, hex) can be stored instead of `key`.
+ *
+ * JWTs are signed with APPSERVER_JWT_SECRET (HS256). Scopes are taken from
+ * the `scope` claim (space separated) or `scopes` (array), the allowed
+ * definitions from `definitions` and the client name from `sub`.
+ *
+ * Scopes: 'solve', 'wakeup', 'definitions:read', 'health' and 'admin'
+ * (which includes all others). `definitions` limits a client to some
+ * definitions: names, or prefixes ending with '*' like 'acme/*'. Keys and
+ * JWTs can also carry their own `limits` and `quota` (see limits.js).
+ *
+ * Without APPSERVER_KEYS_FILE and APPSERVER_JWT_SECRET clients don't have to
+ * authenticate and can do everything but admin. Otherwise requests without
+ * credentials only get APPSERVER_PUBLIC_SCOPES (comma separated, default
+ * none).
+ *
+ * Admin routes are disabled unless the APPSERVER_ADMIN_KEY environment
+ * variable is set or a client has the admin scope. The admin key is passed
+ * like any other key.
+ */
+const fs = require('fs')
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const createError = require('http-errors')
+
+const SCOPES = ['solve', 'wakeup', 'definitions:read', 'health', 'admin']
+
+// how often the keys file is checked for changes, in ms
+const RELOAD_INTERVAL = 1000
+
+/**
+ * Get the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.get('Authorization') || ''
+  const match = header.match(/^Bearer\s+(.+)$/i)
+  return match ? match[1] : null
+}
+
+/**
+ * Compare secrets in constant time
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a))
+  const bufB = Buffer.from(String(b))
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB)
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex')
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean)
+}
+
+function isConfigured() {
+  return !!(process.env.APPSERVER_KEYS_FILE || process.env.APPSERVER_JWT_SECRET)
+}
+
+let keys = []
+let keysMtime = null
+let keysChecked = 0
+
+/**
+ * The keys from APPSERVER_KEYS_FILE, re-read when the file changes. A file
+ * that can't be read or parsed keeps the keys loaded before.
+ */
+function loadKeys() {
+  const file = process.env.APPSERVER_KEYS_FILE
+  if (!file || Date.now() - keysChecked < RELOAD_INTERVAL) return keys
+  keysChecked = Date.now()
+
+  try {
+    const mtime = fs.statSync(file).mtimeMs
+    if (mtime !== keysMtime) {
+      const entries = JSON.parse(fs.readFileSync(file, 'utf8')).keys || []
+      keys = entries
+        .filter(entry => entry.key || entry.keyHash)
+        .map(entry => ({
+          name: entry.name || 'unnamed',
+          hash: entry.keyHash ? String(entry.keyHash).toLowerCase() : hashKey(entry.key),
+          scopes: entry.scopes || [],
+          definitions: entry.definitions || null,
+          limits: entry.limits || {},
+          quota: entry.quota || {}
+        }))
+      keysMtime = mtime
+      console.log(`Loaded ${keys.length} API keys from ${file}`)
+    }
+  } catch (error) {
+    console.error(`Unable to load API keys from ${file}: ${error.message}`)
+  }
+  return keys
+}
+
+/**
+ * The client for an API key or JWT, or null if the token isn't valid
+ */
+function identify(token) {
+  const adminKey = process.env.APPSERVER_ADMIN_KEY
+  if (adminKey && safeEqual(token, adminKey))
+    return { name: 'admin', scopes: ['admin'], definitions: null }
+
+  const hash = hashKey(token)
+  const key = loadKeys().find(k => safeEqual(k.hash, hash))
+  if (key)
+    return { name: key.name, scopes: key.scopes, definitions: key.definitions, limits: key.limits, quota: key.quota }
+
+  const secret = process.env.APPSERVER_JWT_SECRET
+  if (secret && token.split('.').length === 3) {
+    try {
+      const claims = jwt.verify(token, secret, { algorithms: ['HS256'] })
+      const scopes = Array.isArray(claims.scopes) ? claims.scopes : String(claims.scope || '').split(' ').filter(Boolean)
+      return {
+        name: claims.sub || 'jwt',
+        scopes,
+        definitions: claims.definitions || null,
+        limits: claims.limits || {},
+        quota: claims.quota || {}
+      }
+    } catch (error) {
+      return null
+    }
+  }
+  return null
+}
+
+/**
+ * Middleware that works out who the client is (req.client). Invalid
+ * credentials are rejected right away.
+ */
+function authenticate(req, res, next) {
+  const token = getBearerToken(req) || req.get('X-Api-Key')
+  const client = token ? identify(token) : null
+
+  if (client) {
+    req.client = client
+  } else if (token && isConfigured()) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"')
+    return next(createError(401, 'Invalid API key or token'))
+  } else {
+    req.client = {
+      name: 'anonymous',
+      anonymous: true,
+      scopes: isConfigured() ? splitList(process.env.APPSERVER_PUBLIC_SCOPES) : SCOPES.filter(s => s !== 'admin'),
+      definitions: null
+    }
+  }
+  next()
+}
+
+function hasScope(client, scope) {
+  return !!client && (client.scopes.includes(scope) || client.scopes.includes('admin'))
+}
+
+/**
+ * Middleware that only lets clients with a scope through
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req.client, scope)) return next()
+    if (!req.client || req.client.anonymous) {
+      res.set('WWW-Authenticate', 'Bearer')
+      return next(createError(401, `Authentication required (${scope})`))
+    }
+    next(createError(403, `The ${req.client.name} key doesn't have the ${scope} scope`))
+  }
+}
+
+/**
+ * Middleware that only lets admins through: the admin key or a client with
+ * the admin scope
+ */
+function requireAdmin(req, res, next) {
+  if (hasScope(req.client, 'admin')) return next()
+
+  if (!process.env.APPSERVER_ADMIN_KEY && !isConfigured())
+    return next(createError(403, 'Admin routes are disabled. Set APPSERVER_ADMIN_KEY to enable them.'))
+  if (!req.client || req.client.anonymous)
+    return next(createError(401, 'Invalid or missing admin key'))
+  next(createError(403, `The ${req.client.name} key doesn't have the admin scope`))
+}
+
+/**
+ * Whether a client may use a definition. Pinned versions ('name@<md5>')
+ * count as the definition itself.
+ */
+function canUseDefinition(client, name) {
+  if (!client || !client.definitions) return true
+  const base = String(name).replace(/@[0-9a-f]{32}$/, '')
+  return client.definitions.some(pattern => pattern.endsWith('*')
+    ? base.startsWith(pattern.slice(0, -1))
+    : base === pattern)
+}
+
+/**
+ * Throw a 403 when the client of a request may not use a definition
+ */
+function checkDefinitionAccess(req, name) {
+  if (!canUseDefinition(req.client, name))
+    throw createError(403, `The ${req.client.name} key can't use ${name}`)
+}
+
+/**
+ * Signature for the url compute downloads a definition from (see
+ * DEFINITION_TRANSFER in compute.js), or null when there is no secret to
+ * sign with
+ */
+function signDefinition(id) {
+  const secret = process.env.DEFINITION_URL_SECRET || process.env.APPSERVER_JWT_SECRET || process.env.APPSERVER_ADMIN_KEY
+  return secret ? crypto.createHmac('sha256', secret).update(String(id)).digest('hex') : null
+}
+
+function verifyDefinitionSignature(id, signature) {
+  const expected = signDefinition(id)
+  return !!expected && !!signature && safeEqual(signature, expected)
+}
+
+module.exports = {
+  authenticate,
+  requireScope,
+  requireAdmin,
+  getBearerToken,
+  canUseDefinition,
+  checkDefinitionAccess,
+  signDefinition,
+  verifyDefinitionSignature,
+  isConfigured,
+  SCOPES
+}
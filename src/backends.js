@@ -0,0 +1,134 @@
+/**
+ * Pool of compute servers
+ *
+ * Backends are configured with RHINO_COMPUTE_BACKENDS, a json array of
+ *   { "url": "http://vm1:80/", "key": "API_KEY", "weight": 2, "name": "vm1" }
+ * (only url is required, key defaults to RHINO_COMPUTE_KEY and weight to 1).
+ * Without it RHINO_COMPUTE_URL is used, which can also be a comma separated
+ * list of urls that share RHINO_COMPUTE_KEY.
+ *
+ * Requests are spread over the healthy backends with the strategy set in
+ * RHINO_COMPUTE_BALANCE:
+ *  'round-robin' (default)
+ *     weighted round robin
+ *  'least-outstanding'
+ *     the backend with the fewest requests in flight (relative to its weight)
+ *
+ * Backends that can't be reached during a request, or fail a health check
+ * (see compute.js), are marked down until they pass a health check again.
+ */
+const STRATEGY = process.env.RHINO_COMPUTE_BALANCE || 'round-robin'
+
+function parseBackends() {
+  let configs
+  if (process.env.RHINO_COMPUTE_BACKENDS) {
+    configs = JSON.parse(process.env.RHINO_COMPUTE_BACKENDS)
+  } else {
+    configs = process.env.RHINO_COMPUTE_URL.split(',').map(url => ({ url: url.trim() }))
+  }
+
+  return configs.map((config, i) => ({
+    name: config.name || `compute-${i + 1}`,
+    url: config.url.endsWith('/') ? config.url : config.url + '/',
+    key: config.key !== undefined ? config.key : process.env.RHINO_COMPUTE_KEY,
+    weight: config.weight || 1,
+    healthy: true,
+    outstanding: 0,
+    currentWeight: 0, // used by weighted round robin
+    lastCheck: null,
+    lastError: null
+  }))
+}
+
+let backends = null
+
+/**
+ * All configured backends. Parsed on first use, so RHINO_COMPUTE_URL can be
+ * set from the command line before this module is used
+ */
+function all() {
+  if (!backends) {
+    backends = parseBackends()
+    console.log('Compute backends: ' + backends.map(b => `${b.name} (${b.url})`).join(', '))
+  }
+  return backends
+}
+
+/**
+ * Smooth weighted round robin (same algorithm as nginx)
+ */
+function roundRobin(candidates) {
+  const total = candidates.reduce((sum, b) => sum + b.weight, 0)
+  let best = null
+  candidates.forEach(b => {
+    b.currentWeight += b.weight
+    if (!best || b.currentWeight > best.currentWeight) best = b
+  })
+  best.currentWeight -= total
+  return best
+}
+
+function leastOutstanding(candidates) {
+  return candidates.reduce((best, b) =>
+    (b.outstanding / b.weight < best.outstanding / best.weight) ? b : best)
+}
+
+/**
+ * Pick a backend for a request
+ * @param {object[]} [exclude] backends that already failed this request
+ * @returns {object} a backend, or undefined if all of them were excluded
+ */
+function select(exclude = []) {
+  const available = all().filter(b => !exclude.includes(b))
+  if (available.length === 0) return undefined
+
+  // if every backend is down, try them anyway rather than fail right away
+  const healthy = available.filter(b => b.healthy)
+  const candidates = healthy.length > 0 ? healthy : available
+
+  return STRATEGY === 'least-outstanding' ? leastOutstanding(candidates) : roundRobin(candidates)
+}
+
+/**
+ * Build the url for a compute endpoint on a backend, e.g. 'grasshopper'
+ */
+function endpoint(backend, path) {
+  return backend.url + path
+}
+
+/**
+ * Headers needed to talk to a backend
+ */
+function headers(backend) {
+  return { 'RhinoComputeKey': backend.key }
+}
+
+function markDown(backend, error) {
+  if (backend.healthy)
+    console.error(`Compute backend ${backend.name} marked down: ${error.message}`)
+  backend.healthy = false
+  backend.lastError = error.message
+}
+
+function markUp(backend) {
+  if (!backend.healthy)
+    console.log(`Compute backend ${backend.name} is back up`)
+  backend.healthy = true
+  backend.lastError = null
+}
+
+/**
+ * Public status of every backend (without the api keys)
+ */
+function status() {
+  return all().map(b => ({
+    name: b.name,
+    healthy: b.healthy,
+    weight: b.weight,
+    outstanding: b.outstanding,
+    lastCheck: b.lastCheck,
+    lastError: b.lastError
+  }))
+}
+
+module.exports = { all, select, endpoint, headers, status, markDown, markUp }
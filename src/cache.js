@@ -0,0 +1,167 @@
+/**
+ * Solve result cache
+ *
+ * Assuming definitions produce the same results when the same set of inputs
+ * are provided, solve results are cached so repeated solves don't have to go
+ * to compute. Entries are keyed on the definition md5 plus a hash of the
+ * normalized inputs.
+ *
+ * The backend is chosen with the SOLVE_CACHE environment variable:
+ *  'memory' (default)
+ *     in-process cache using node-cache. Every worker has its own cache
+ *  'memcached'
+ *     shared cache using memjs. Servers are read from MEMCACHIER_SERVERS or
+ *     MEMCACHE_SERVERS (see memjs docs)
+ *  'none'
+ *     disable caching
+ *
+ * SOLVE_CACHE_TTL sets the default time to live in seconds (default 3600).
+ * A definition can override this with `cache.ttl` in its manifest; a ttl
+ * of 0 disables caching for that definition.
+ */
+const crypto = require('crypto')
+const NodeCache = require('node-cache')
+const memjs = require('memjs')
+
+const DEFAULT_TTL = parseInt(process.env.SOLVE_CACHE_TTL || '3600', 10)
+
+/**
+ * Sort object keys recursively so that the same inputs always produce the
+ * same string, regardless of the order the client sent them in
+ */
+function normalize(value) {
+  if (Array.isArray(value))
+    return value.map(normalize)
+  if (value !== null && typeof value === 'object') {
+    const sorted = {}
+    Object.keys(value).sort().forEach(key => { sorted[key] = normalize(value[key]) })
+    return sorted
+  }
+  return value
+}
+
+/**
+ * Build the part of the cache key that identifies a set of inputs and the
+ * model settings they are solved with
+ */
+function inputsKey(inputs, settings) {
+  const json = JSON.stringify(normalize(settings ? { inputs: inputs || {}, settings } : inputs || {}))
+  return crypto.createHash('md5').update(json).digest('hex')
+}
+
+/**
+ * Get the ttl in seconds for a definition
+ */
+function ttlFor(definition) {
+  const manifest = definition.manifest || {}
+  if (manifest.cache && manifest.cache.ttl !== undefined)
+    return manifest.cache.ttl
+  return DEFAULT_TTL
+}
+
+/**
+ * In-process cache backed by node-cache
+ */
+class MemoryCache {
+  constructor() {
+    this.name = 'memory'
+    this.cache = new NodeCache({ stdTTL: DEFAULT_TTL, useClones: false })
+  }
+
+  async get(id, key) {
+    return this.cache.get(`${id}:${key}`)
+  }
+
+  async set(id, key, value, ttl) {
+    this.cache.set(`${id}:${key}`, value, ttl)
+  }
+
+  async purge(id) {
+    const keys = this.cache.keys().filter(k => k.startsWith(`${id}:`))
+    return this.cache.del(keys)
+  }
+}
+
+/**
+ * Shared cache backed by memcached. Memcached can't list keys, so every
+ * definition has a generation number that is part of the key. Purging a
+ * definition bumps its generation and the old entries simply expire.
+ */
+class MemcachedCache {
+  constructor() {
+    this.name = 'memcached'
+    this.client = memjs.Client.create(undefined, { expires: DEFAULT_TTL })
+  }
+
+  async generation(id) {
+    const { value } = await this.client.get(`gen:${id}`)
+    return value ? value.toString() : '0'
+  }
+
+  async get(id, key) {
+    const gen = await this.generation(id)
+    const { value } = await this.client.get(`${id}:${gen}:${key}`)
+    return value ? JSON.parse(value.toString()) : undefined
+  }
+
+  async set(id, key, value, ttl) {
+    const gen = await this.generation(id)
+    await this.client.set(`${id}:${gen}:${key}`, JSON.stringify(value), { expires: ttl })
+  }
+
+  async purge(id) {
+    await this.client.increment(`gen:${id}`, 1, { initial: 1, expires: 0 })
+    return null // memcached can't tell how many entries were dropped
+  }
+}
+
+function createCache() {
+  switch (process.env.SOLVE_CACHE || 'memory') {
+  case 'memory':
+    return new MemoryCache()
+  case 'memcached':
+    return new MemcachedCache()
+  case 'none':
+    return null
+  default:
+    throw new Error(`Unknown SOLVE_CACHE backend: ${process.env.SOLVE_CACHE}`)
+  }
+}
+
+const cache = createCache()
+console.log('SOLVE_CACHE: ' + (cache ? cache.name : 'none'))
+
+/**
+ * Look up a cached result for a definition and set of inputs. Cache errors
+ * are logged and treated as a miss so a flaky memcached doesn't break solves.
+ */
+async function getResult(definition, inputs, settings) {
+  if (!cache || ttlFor(definition) <= 0) return undefined
+  try {
+    return await cache.get(definition.id, inputsKey(inputs, settings))
+  } catch (error) {
+    console.error('Solve cache get failed:', error.message)
+    return undefined
+  }
+}
+
+async function setResult(definition, inputs, settings, result) {
+  const ttl = ttlFor(definition)
+  if (!cache || ttl <= 0) return
+  try {
+    await cache.set(definition.id, inputsKey(inputs, settings), result, ttl)
+  } catch (error) {
+    console.error('Solve cache set failed:', error.message)
+  }
+}
+
+/**
+ * Remove all cached results for a definition. Returns the number of entries
+ * removed, or null if the backend can't tell.
+ */
+async function purge(definition) {
+  if (!cache) return 0
+  return cache.purge(definition.id)
+}
+
+module.exports = { getResult, setResult, purge, inputsKey }
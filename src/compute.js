@@ -0,0 +1,384 @@
+/**
+ * Client for the compute servers
+ *
+ * All requests to compute go through this module. It picks a backend (see
+ * backends.js), adds the api key, applies timeouts, retries failed requests
+ * with backoff and turns failures into typed errors:
+ *
+ *  ComputeUnreachableError
+ *     the backend couldn't be reached or a gateway in front of it failed
+ *  ComputeTimeoutError
+ *     the backend didn't answer in time (a kind of ComputeUnreachableError)
+ *  ComputeAuthError
+ *     the backend rejected the api key
+ *  GrasshopperError
+ *     compute was reached but the definition failed to load or solve
+ *
+ * Unreachable, timed out and rejected requests are retried (on another
+ * backend when there is one) up to COMPUTE_RETRIES times (default 2),
+ * waiting COMPUTE_RETRY_DELAY ms (default 250) before the first retry and
+ * twice as long before every next one. Grasshopper errors would fail the same
+ * way again, so they aren't retried.
+ *
+ * Solves time out after COMPUTE_TIMEOUT seconds (default 300), other requests
+ * after 30 seconds.
+ *
+ * The client is an EventEmitter, so logging and metrics can hook into every
+ * request:
+ *   compute.on('request', ({ method, path, backend, attempt }) => ...)
+ *   compute.on('response', ({ method, path, backend, attempt, status, duration }) => ...)
+ *   compute.on('failure', ({ method, path, backend, attempt, error, duration }) => ...)
+ * COMPUTE_LOG sets what is logged to the console: 'errors' (default), 'all'
+ * or 'none'.
+ *
+ * DEFINITION_TRANSFER sets how definitions are passed to compute:
+ *  'pointer' (default)
+ *     only the md5 pointer is sent. Compute caches definitions by pointer,
+ *     the definition itself (algo) is only sent when compute doesn't have it
+ *  'inline'
+ *     the definition is sent along with every request
+ *  'url'
+ *     compute downloads the definition from /definition/:id on this
+ *     appserver, which has to be reachable from compute at APPSERVER_URL
+ */
+const fs = require('fs')
+const { basename } = require('path')
+const EventEmitter = require('events')
+const md5File = require('md5-file')
+const fetch = require('node-fetch')
+const createError = require('http-errors')
+const backends = require('./backends')
+const { signDefinition } = require('./auth')
+
+const SOLVE_TIMEOUT = parseInt(process.env.COMPUTE_TIMEOUT || '300', 10) * 1000
+const DEFAULT_TIMEOUT = 30 * 1000
+const RETRIES = parseInt(process.env.COMPUTE_RETRIES || '2', 10)
+const RETRY_DELAY = parseInt(process.env.COMPUTE_RETRY_DELAY || '250', 10)
+const TRANSFER = process.env.DEFINITION_TRANSFER || 'pointer'
+const HEALTH_INTERVAL = parseInt(process.env.RHINO_COMPUTE_HEALTH_INTERVAL || '30', 10) * 1000
+
+class ComputeError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {number} [options.status] http status sent to our client
+   * @param {string} [options.code] machine readable error type
+   * @param {object} [options.backend] the backend that failed
+   * @param {number} [options.computeStatus] http status returned by compute
+   */
+  constructor(message, options = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.status = options.status || 502
+    this.code = options.code || 'compute_error'
+    this.backend = options.backend ? options.backend.name : undefined
+    // the backend itself, to send a follow up request to the same one. Not
+    // enumerable, so it isn't logged along with its api key
+    Object.defineProperty(this, 'computeBackend', { value: options.backend })
+    this.computeStatus = options.computeStatus
+    // let the error handler pass the code on to the client
+    this.expose = true
+    this.details = { code: this.code }
+  }
+
+  get retryable() {
+    return false
+  }
+}
+
+class ComputeUnreachableError extends ComputeError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({ status: 503, code: 'compute_unreachable' }, options))
+  }
+
+  get retryable() {
+    return true
+  }
+}
+
+class ComputeTimeoutError extends ComputeUnreachableError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({ status: 504, code: 'compute_timeout' }, options))
+  }
+}
+
+class ComputeAuthError extends ComputeError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({ status: 502, code: 'compute_auth' }, options))
+  }
+
+  // another backend may have a different key
+  get retryable() {
+    return true
+  }
+}
+
+class GrasshopperError extends ComputeError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({ status: 500, code: 'grasshopper' }, options))
+  }
+}
+
+const client = new EventEmitter()
+
+/**
+ * Make a typed error for a response compute didn't answer with 2xx
+ */
+function responseError(response, text, backend) {
+  const message = `Compute Server Error ${response.status}: ${text}`
+  const options = { backend, computeStatus: response.status }
+  if (response.status === 401 || response.status === 403)
+    return new ComputeAuthError(message, options)
+  if (response.status === 502 || response.status === 503)
+    return new ComputeUnreachableError(message, options)
+  if (response.status === 504)
+    return new ComputeTimeoutError(message, options)
+  return new GrasshopperError(message, options)
+}
+
+/**
+ * Make a typed error for a request that failed before compute answered
+ */
+function fetchError(error, backend, timeout) {
+  if (error.type === 'request-timeout' || error.type === 'body-timeout')
+    return new ComputeTimeoutError(`Compute Server didn't answer within ${timeout / 1000}s`, { backend })
+  return new ComputeUnreachableError(`Compute Server unreachable: ${error.message}`, { backend })
+}
+
+/**
+ * Wait before retrying, unless the request is aborted first
+ */
+function delay(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms)
+    function done() {
+      clearTimeout(timer)
+      if (signal) signal.removeEventListener('abort', done)
+      resolve()
+    }
+    if (signal) signal.addEventListener('abort', done)
+  })
+}
+
+/**
+ * Send a request to compute
+ * @param {string} method http method
+ * @param {string} path compute endpoint, e.g. 'grasshopper'
+ * @param {object} [options]
+ * @param {object} [options.body] json body
+ * @param {AbortSignal} [options.signal] aborts the request
+ * @param {number} [options.timeout] ms to wait for a response
+ * @param {number} [options.retries] how often to retry (default COMPUTE_RETRIES)
+ * @param {object} [options.backend] use this backend instead of picking one
+ * @param {boolean} [options.text] resolve with the response text instead of
+ *   parsed json
+ * @returns {Promise} resolves with the response body
+ */
+async function request(method, path, options = {}) {
+  const timeout = options.timeout || DEFAULT_TIMEOUT
+  const retries = options.retries !== undefined ? options.retries : RETRIES
+  const signal = options.signal
+  let tried = []
+
+  for (let attempt = 1; ; attempt++) {
+    let backend = options.backend || backends.select(tried)
+    if (!backend) {
+      // every backend failed once, start over
+      tried = []
+      backend = backends.select(tried)
+    }
+    tried.push(backend)
+
+    const info = { method, path, backend: backend.name, attempt }
+    client.emit('request', info)
+    const start = Date.now()
+    backend.outstanding++
+    try {
+      let response, text
+      try {
+        response = await fetch(backends.endpoint(backend, path), {
+          method,
+          headers: Object.assign({ 'Content-Type': 'application/json' }, backends.headers(backend)),
+          body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+          signal,
+          timeout
+        })
+        text = await response.text()
+      } catch (error) {
+        if (error.name === 'AbortError') throw createError(499, 'Request cancelled')
+        throw fetchError(error, backend, timeout)
+      }
+
+      if (!response.ok) throw responseError(response, text, backend)
+
+      let body = text
+      if (!options.text) {
+        try {
+          body = JSON.parse(text)
+        } catch (error) {
+          throw new ComputeError(`Compute Server returned invalid json: ${error.message}`, { backend })
+        }
+      }
+
+      client.emit('response', Object.assign({ status: response.status, duration: Date.now() - start }, info))
+      return body
+    } catch (error) {
+      client.emit('failure', Object.assign({ error, duration: Date.now() - start }, info))
+      if (!error.retryable) throw error
+      backends.markDown(backend, error)
+      if (attempt > retries || (signal && signal.aborted)) throw error
+      await delay(RETRY_DELAY * Math.pow(2, attempt - 1), signal)
+      if (signal && signal.aborted) throw createError(499, 'Request cancelled')
+    } finally {
+      backend.outstanding--
+    }
+  }
+}
+
+function get(path, options) {
+  return request('GET', path, options)
+}
+
+function post(path, body, options = {}) {
+  return request('POST', path, Object.assign({ body }, options))
+}
+
+// what compute says when it couldn't load the (empty) definition of a pointer
+const DEFINITION_MISS = /unable to (convert|load) .*(grasshopper|definition)/i
+
+/**
+ * Compute reports a definition it doesn't have cached with a 404 or a 500
+ * saying it couldn't load the definition. Other errors, e.g. a solution
+ * exception saying something wasn't found, come from the definition itself.
+ */
+function isDefinitionMiss(error) {
+  return error instanceof GrasshopperError
+    && (error.computeStatus === 404 || DEFINITION_MISS.test(error.message))
+}
+
+/**
+ * Send a request for a definition, passing the definition the way
+ * DEFINITION_TRANSFER says (see the top of this file), or `options.transfer`
+ */
+async function sendDefinition(path, definitionPath, body, options = {}) {
+  const transfer = options.transfer || TRANSFER
+  options = Object.assign({}, options)
+  delete options.transfer
+  const hash = md5File.sync(definitionPath)
+  const withAlgo = () => Object.assign({}, body, {
+    algo: fs.readFileSync(definitionPath).toString('base64'),
+    pointer: 'md5_' + hash
+  })
+
+  switch (transfer) {
+  case 'inline':
+    return post(path, withAlgo(), options)
+  case 'url': {
+    if (!process.env.APPSERVER_URL)
+      throw new Error('DEFINITION_TRANSFER=url needs APPSERVER_URL')
+    const base = process.env.APPSERVER_URL.endsWith('/') ? process.env.APPSERVER_URL : process.env.APPSERVER_URL + '/'
+    // signed, so compute can download it without an api key (see auth.js)
+    const signature = signDefinition(hash)
+    const url = `${base}definition/${hash}` + (signature ? `?sig=${signature}` : '')
+    return post(path, Object.assign({}, body, { pointer: url }), options)
+  }
+  default:
+    try {
+      return await post(path, Object.assign({}, body, { pointer: 'md5_' + hash }), options)
+    } catch (error) {
+      if (!isDefinitionMiss(error)) throw error
+      console.log(`compute doesn't have ${basename(definitionPath)} cached, sending it`)
+      // to the backend that missed, so its cache fills up
+      return post(path, withAlgo(), Object.assign({}, options, { backend: error.computeBackend }))
+    }
+  }
+}
+
+/**
+ * Solve a definition. `body` is a Hops style request body without the
+ * definition (algo/pointer), which is added here.
+ */
+function solve(definitionPath, body, options = {}) {
+  return sendDefinition('grasshopper', definitionPath, body, Object.assign({ timeout: SOLVE_TIMEOUT }, options))
+}
+
+/**
+ * Get the inputs and outputs of a definition. `body` is a Hops style
+ * request body without the definition and values. `options.transfer`
+ * overrides DEFINITION_TRANSFER, e.g. for files compute can't download.
+ */
+function io(definitionPath, body, options) {
+  return sendDefinition('io', definitionPath, body, options)
+}
+
+/**
+ * Call /healthcheck on a backend and update its status. Never throws,
+ * resolves with the http status (null if unreachable) and the response text.
+ */
+async function healthcheck(backend) {
+  backend.lastCheck = Date.now()
+  try {
+    const text = await get('healthcheck', { backend, timeout: 10 * 1000, retries: 0, text: true })
+    backends.markUp(backend)
+    return { status: 200, text }
+  } catch (error) {
+    backends.markDown(backend, error)
+    return { status: error.computeStatus || null, text: error.message }
+  }
+}
+
+/**
+ * Check every backend, resolves with the healthcheck results in the same
+ * order as backends.all()
+ */
+function checkAll() {
+  return Promise.all(backends.all().map(healthcheck))
+}
+
+// keep checking backends, so ones that are down are used again once they
+// recover. Not needed with a single backend, which is always tried anyway.
+setInterval(() => {
+  if (backends.all().length > 1) checkAll()
+}, HEALTH_INTERVAL).unref()
+
+/**
+ * An AbortSignal that fires when the client of an express response goes
+ * away before the response is sent, so the compute request can be dropped
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController()
+  const onClose = () => {
+    if (!res.writableFinished) controller.abort()
+  }
+  if (res.destroyed) onClose()
+  else res.on('close', onClose)
+  return controller.signal
+}
+
+// console logging
+const LOG = process.env.COMPUTE_LOG || 'errors'
+if (LOG === 'all') {
+  client.on('response', ({ method, path, backend, status, duration }) =>
+    console.log(`compute ${backend} ${method} /${path} ${status} ${duration}ms`))
+}
+if (LOG !== 'none') {
+  client.on('failure', ({ method, path, backend, attempt, error }) =>
+    console.error(`compute ${backend} ${method} /${path} failed (attempt ${attempt}): ${error.message}`))
+}
+
+module.exports = Object.assign(client, {
+  request,
+  get,
+  post,
+  solve,
+  io,
+  healthcheck,
+  checkAll,
+  abortOnDisconnect,
+  SOLVE_TIMEOUT,
+  ComputeError,
+  ComputeUnreachableError,
+  ComputeTimeoutError,
+  ComputeAuthError,
+  GrasshopperError
+})
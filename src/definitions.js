@@ -2,97 +2,211 @@ const fs = require('fs')
 const path = require('path')
 const md5File = require('md5-file')
 const camelcaseKeys = require('camelcase-keys')
-const fetch = require('node-fetch')
-
-function getFilesSync(dir) {
-  return fs.readdirSync(dir)
-}
-
-function registerDefinitions() {
-  const filesDir = path.join(__dirname, 'files/')
-  console.log('--- DEBUG: Definition Scanner ---');
-  console.log('Looking for files in:', filesDir);
-
-  if (!fs.existsSync(filesDir)) {
-    console.error('ERROR: Files directory not found at:', filesDir);
-    return [];
-  }
-
-  let files = getFilesSync(filesDir)
-  console.log('Raw files found:', files);
+const compute = require('./compute')
+const { modelSettings, toHops } = require('./units')
+const cache = require('./cache')
+const events = require('./events')
+const watch = require('./watch')
+const { loadManifest } = require('./manifest')
+const metadata = require('./metadata')
+const { FILES_DIR, definitionRoots } = require('./roots')
 
+/**
+ * Find the definitions in a root and its folders (see roots.js). Names are
+ * paths relative to the root, with forward slashes. When both a .gh and a
+ * .ghx with the same name exist in a folder, the .gh wins.
+ */
+function scanDefinitions(root, folder = '') {
+  const dir = path.join(root, folder)
   let definitions = []
 
   const baseNames = new Set()
-  files.forEach(file => {
-    if (file.endsWith('.gh') || file.endsWith('.ghx')) {
-      baseNames.add(path.parse(file).name)
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    if (entry.name.startsWith('.')) return
+    if (entry.isDirectory()) {
+      definitions = definitions.concat(scanDefinitions(root, path.posix.join(folder, entry.name)))
+    } else if (entry.name.endsWith('.gh') || entry.name.endsWith('.ghx')) {
+      baseNames.add(path.parse(entry.name).name)
     }
   })
 
   baseNames.forEach(base => {
     let fileName = null
-    if (fs.existsSync(path.join(filesDir, base + '.gh'))) {
+    if (fs.existsSync(path.join(dir, base + '.gh'))) {
       fileName = base + '.gh'
-    } else if (fs.existsSync(path.join(filesDir, base + '.ghx'))) {
+    } else if (fs.existsSync(path.join(dir, base + '.ghx'))) {
       fileName = base + '.ghx'
     }
 
     if (fileName) {
-      const fullPath = path.join(filesDir, fileName)
+      const fullPath = path.join(dir, fileName)
       const hash = md5File.sync(fullPath)
       
       definitions.push({
-        name: fileName,
+        name: path.posix.join(folder, fileName),
         id: hash,
-        path: fullPath
+        path: fullPath,
+        root,
+        modified: fs.statSync(fullPath).mtimeMs,
+        manifest: loadManifest(dir, base)
       })
     }
   })
 
+  return definitions
+}
+
+/**
+ * Find the definitions in all roots. A name that is already taken by an
+ * earlier root is skipped.
+ */
+function scanRoots() {
+  const definitions = []
+  for (const root of definitionRoots()) {
+    if (!fs.existsSync(root)) {
+      console.error('Definition root not found:', root)
+      continue
+    }
+    for (const definition of scanDefinitions(root)) {
+      if (definitions.some(d => d.name === definition.name))
+        console.log(`Skipping ${definition.path}, ${definition.name} is already defined`)
+      else
+        definitions.push(definition)
+    }
+  }
+  return definitions
+}
+
+function registerDefinitions() {
+  console.log('--- DEBUG: Definition Scanner ---');
+  console.log('Looking for definitions in:', definitionRoots());
+
+  let definitions = scanRoots()
+
   console.log('Registered definitions:', definitions);
   console.log('---------------------------------');
 
   return definitions
 }
 
-async function getParams(definitionPath) {
-  const buffer = fs.readFileSync(definitionPath)
-  const algo = buffer.toString('base64')
-  
-  // Standard Hops/Compute Request Body
-  const requestBody = {
-    "absolutetolerance": 0.01,
-    "angletolerance": 1.0,
-    "modelunits": "Inches",
-    "algo": algo,
-    "pointer": "md5_" + md5File.sync(definitionPath),
-    "cachesolve": false,
-    "values": []
+/**
+ * Re-scan the definition roots and update a registry (the array returned by
+ * registerDefinitions) in place. Definitions whose file changed are replaced
+ * by a new object, which drops their cached inputs/outputs. Unchanged ones
+ * keep their object and only get their manifest re-read.
+ * @returns {object} { added, changed, removed } lists of the definitions
+ *   as they were before the refresh (for changed and removed ones)
+ */
+function refreshDefinitions(registry) {
+  const scanned = scanRoots()
+  const changes = { added: [], changed: [], removed: [] }
+
+  for (const definition of scanned) {
+    const index = registry.findIndex(d => d.name === definition.name)
+    if (index === -1) {
+      registry.push(definition)
+      changes.added.push(definition)
+    } else if (registry[index].id !== definition.id) {
+      changes.changed.push(registry[index])
+      registry[index] = definition
+    } else {
+      registry[index].manifest = definition.manifest
+      registry[index].modified = definition.modified
+    }
   }
 
-  let url = process.env.RHINO_COMPUTE_URL
-  if (!url.endsWith('/')) url += '/' 
-  url += 'io'
+  for (let i = registry.length - 1; i >= 0; i--) {
+    if (!scanned.some(d => d.name === registry[i].name)) {
+      changes.removed.push(registry[i])
+      registry.splice(i, 1)
+    }
+  }
 
-  const apiKey = process.env.RHINO_COMPUTE_KEY
+  return changes
+}
 
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'RhinoComputeKey': apiKey
-      },
-      body: JSON.stringify(requestBody)
-    })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      throw new Error(`Compute Server returned ${response.status}: ${errorText}`)
+/**
+ * Refresh a registry from the definition roots, purge the cached solve
+ * results of changed and removed definitions and send a 'definitions' event
+ * with the names of the added, changed and removed definitions to the
+ * clients of this worker.
+ */
+async function syncDefinitions(registry) {
+  const changes = refreshDefinitions(registry)
+  const stale = changes.changed.concat(changes.removed)
+  if (changes.added.length + stale.length === 0) return changes
+
+  for (const definition of stale) {
+    await cache.purge(definition)
+    // the same file may still be registered under another name
+    if (!registry.some(d => d.id === definition.id))
+      await metadata.removeMetadata(definition.id)
+  }
+
+  const names = list => list.map(d => d.name)
+  const summary = {
+    added: names(changes.added),
+    changed: names(changes.changed),
+    removed: names(changes.removed)
+  }
+  console.log('Definitions updated:', summary)
+  // every worker refreshes, so each one only tells its own clients
+  events.emitLocal('definitions', summary)
+  return changes
+}
+
+/**
+ * Keep a registry up to date with the definition roots (see watch.js). In
+ * the process picked to warm definitions, the metadata of all definitions
+ * and of added and changed ones is fetched right away.
+ */
+function keepInSync(registry) {
+  let warm = false
+  watch.whenWarmer(() => {
+    console.log(`Process ${process.pid} fetches the inputs and outputs of definitions`)
+    warm = true
+    warmDefinitions(registry)
+  })
+  watch.watchDefinitions(async () => {
+    try {
+      const changes = await syncDefinitions(registry)
+      if (warm) {
+        // changed definitions were replaced in the registry, look them up again
+        const names = changes.added.concat(changes.changed).map(d => d.name)
+        await warmDefinitions(registry.filter(d => names.includes(d.name)))
+      }
+    } catch (error) {
+      console.error('Refreshing definitions failed:', error.message)
     }
+  })
+}
+
+/**
+ * An input is required when it has no default value and compute doesn't
+ * allow it to be empty (AtLeast of 0)
+ */
+function isRequired(input) {
+  const def = (input.default !== undefined) ? input.default : input.Default
+  const atLeast = (input.atLeast !== undefined) ? input.atLeast : input.AtLeast
+  return (def === undefined || def === null || def === '') && atLeast !== 0
+}
+
+/**
+ * Get the inputs and outputs of a definition from compute
+ * @param {string} definitionPath
+ * @param {object} [settings] model units and tolerances (see units.js),
+ *   defaults to the server wide settings
+ * @param {object} [options] passed on to compute.io
+ */
+async function getParams(definitionPath, settings = modelSettings(), options) {
+  // Standard Hops/Compute Request Body (compute.io adds the definition)
+  const requestBody = Object.assign(toHops(settings), {
+    "cachesolve": false,
+    "values": []
+  })
 
-    let result = await response.json()
+  try {
+    let result = await compute.io(definitionPath, requestBody, options)
     
     // Convert keys to camelCase (e.g. "Default" -> "default")
     // Note: This relies on camelcase-keys working correctly. 
@@ -102,7 +216,6 @@ async function getParams(definitionPath) {
     let rawInputs = result.inputs || result.Inputs || result.inputNames || [];
     
     // Explicitly map inputs to ensure Client expects properties exist
-    // This fixes issues where 'AtLeast' becomes 'atLeast' but client wants 'minimum'
     // And ensures 'default' is definitely set.
     let inputs = rawInputs.map(input => {
         return {
@@ -113,9 +226,12 @@ async function getParams(definitionPath) {
             // Map Defaults
             default: (input.default !== undefined) ? input.default : input.Default,
             
-            // Map Ranges (Client expects 'minimum'/'maximum')
-            minimum: (input.minimum !== undefined) ? input.minimum : (input.atLeast !== undefined ? input.atLeast : input.AtLeast),
-            maximum: (input.maximum !== undefined) ? input.maximum : (input.atMost !== undefined ? input.atMost : input.AtMost),
+            // Value range of the slider, AtLeast/AtMost only count items
+            minimum: (input.minimum !== undefined) ? input.minimum : null,
+            maximum: (input.maximum !== undefined) ? input.maximum : null,
+
+            // Inputs without a default need a value, unless they accept zero items
+            required: isRequired(input),
         };
     });
 
@@ -140,4 +256,64 @@ async function getParams(definitionPath) {
   }
 }
 
-module.exports = { registerDefinitions, getParams }
\ No newline at end of file
+const pending = new Map()
+
+/**
+ * Get the inputs and outputs of a registered definition. They are kept on
+ * the definition object and on disk (see metadata.js), so compute is only
+ * asked once per version of a file.
+ * @param {object} definition
+ * @param {object} [options] { fetch: false } to never ask compute, in which
+ *   case the result is undefined when the metadata isn't stored yet
+ * @returns {object} { description, inputs, outputs, view }
+ */
+async function getDefinitionParams(definition, { fetch = true } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(definition, 'inputs')) {
+    if (!fetch) {
+      const stored = await metadata.readMetadata(definition.id)
+      if (!stored) return undefined
+      Object.assign(definition, stored)
+    } else {
+      // one /io call per file, however many requests are waiting for it
+      if (!pending.has(definition.id))
+        pending.set(definition.id, fetchParams(definition).finally(() => pending.delete(definition.id)))
+      Object.assign(definition, await pending.get(definition.id))
+    }
+  }
+  const { description, inputs, outputs, view } = definition
+  return { description, inputs, outputs, view }
+}
+
+async function fetchParams(definition) {
+  const stored = await metadata.readMetadata(definition.id)
+  if (stored) return stored
+
+  const params = await getParams(definition.path, modelSettings(definition))
+  await metadata.writeMetadata(definition.id, params)
+  return params
+}
+
+/**
+ * Make sure the metadata of some definitions is stored, one at a time.
+ * Failures are logged, the metadata is fetched again when it is needed.
+ */
+async function warmDefinitions(definitions) {
+  for (const definition of definitions) {
+    try {
+      await getDefinitionParams(definition)
+    } catch (error) {
+      console.error(`Could not get the inputs and outputs of ${definition.name}: ${error.message}`)
+    }
+  }
+}
+
+module.exports = {
+  registerDefinitions,
+  refreshDefinitions,
+  syncDefinitions,
+  keepInSync,
+  getParams,
+  getDefinitionParams,
+  warmDefinitions,
+  FILES_DIR
+}
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * Event bus for pushing server side events to clients (see routes/events.js)
+ *
+ * Events have a type, a json payload and an optional session id. Events with
+ * a session are only delivered to clients subscribed with that session,
+ * events without one go to every client. Sessions are made up by clients,
+ * so they are kept apart per client (see clientSession).
+ *
+ * When running under throng, published events are sent to the cluster master
+ * which relays them to every worker, so a client gets its events no matter
+ * which worker it is connected to.
+ *
+ * Watchers poll some state (e.g. compute health) while there are clients
+ * subscribed to this worker and publish an event when the state changes.
+ */
+const cluster = require('cluster')
+const EventEmitter = require('events')
+const { clientId } = require('./limits')
+
+const emitter = new EventEmitter()
+emitter.setMaxListeners(0) // one listener per connected client
+
+const MESSAGE = 'appserver:event'
+
+const watchers = []
+let subscribers = 0
+
+/**
+ * Deliver an event to the clients connected to this worker
+ */
+function emitLocal(type, data, session) {
+  emitter.emit('event', { type, data, session, time: Date.now() })
+}
+
+/**
+ * Publish an event to the clients connected to any worker
+ * @param {string} type event type, e.g. 'solve'
+ * @param {object} data json payload
+ * @param {string} [session] only deliver to clients with this session id
+ */
+function publish(type, data, session) {
+  if (cluster.isWorker && process.send)
+    process.send({ [MESSAGE]: { type, data, session } })
+  else
+    emitLocal(type, data, session)
+}
+
+if (cluster.isWorker) {
+  process.on('message', message => {
+    if (message && message[MESSAGE]) {
+      const { type, data, session } = message[MESSAGE]
+      emitLocal(type, data, session)
+    }
+  })
+}
+
+/**
+ * Called from the cluster master. Relays events published by a worker to
+ * all workers.
+ */
+function relayToWorkers() {
+  cluster.on('message', (sender, message) => {
+    if (!message || !message[MESSAGE]) return
+    for (const id in cluster.workers)
+      cluster.workers[id].send(message)
+  })
+}
+
+/**
+ * The session a request's session id stands for. Prefixed with the client
+ * (see limits.clientId), so nobody gets the events, e.g. solve results, of
+ * another client's session by knowing or guessing its id.
+ */
+function clientSession(req, session) {
+  return session ? `${clientId(req)}|${session}` : undefined
+}
+
+/**
+ * Subscribe to the events for a session (and events without a session).
+ * Returns a function that unsubscribes.
+ */
+function subscribe(session, listener) {
+  const onEvent = event => {
+    if (!event.session || event.session === session)
+      listener(event)
+  }
+  emitter.on('event', onEvent)
+  subscribers++
+  startWatchers()
+
+  // bring the new client up to date
+  watchers.forEach(watcher => {
+    if (watcher.state !== undefined)
+      listener({ type: watcher.type, data: watcher.state, time: Date.now() })
+  })
+
+  return () => {
+    emitter.removeListener('event', onEvent)
+    subscribers--
+    if (subscribers === 0) stopWatchers()
+  }
+}
+
+/**
+ * Poll some state while clients are subscribed and emit an event of the
+ * given type whenever it changes
+ * @param {string} type event type
+ * @param {number} interval ms between polls
+ * @param {function} poll async function returning the current state
+ */
+function watch(type, interval, poll) {
+  watchers.push({ type, interval, poll, state: undefined, timer: null })
+  if (subscribers > 0) startWatchers()
+}
+
+function startWatchers() {
+  watchers.filter(w => !w.timer).forEach(watcher => {
+    const check = async () => {
+      let state
+      try {
+        state = await watcher.poll()
+      } catch (error) {
+        state = { error: error.message }
+      }
+      if (JSON.stringify(state) !== JSON.stringify(watcher.state)) {
+        watcher.state = state
+        // watchers run in every worker, so don't relay through the master
+        emitLocal(watcher.type, state)
+      }
+    }
+    watcher.timer = setInterval(check, watcher.interval)
+    check()
+  })
+}
+
+function stopWatchers() {
+  watchers.forEach(watcher => {
+    clearInterval(watcher.timer)
+    watcher.timer = null
+    watcher.state = undefined
+  })
+}
+
+module.exports = { publish, emitLocal, subscribe, watch, relayToWorkers, clientSession }
@@ -0,0 +1,334 @@
+/**
+ * Convert client inputs into the DataTrees that compute expects
+ *
+ * The definition's input metadata (see definitions.getParams) tells us the
+ * type of every input, so values are converted to match what Grasshopper
+ * expects instead of guessing from the javascript type.
+ *
+ * Supported input values:
+ *  - a single value                    -> one item in branch {0}
+ *  - an array of values                -> multiple items in branch {0}
+ *  - an object keyed by paths          -> explicit branches,
+ *    e.g. { "{0;0}": [1, 2], "{0;1}": [3] }
+ *  - {x, y, z} or [x, y, z]            -> Point / Vector
+ *  - encoded rhino3dm json             -> Curve / Brep / Mesh / Geometry...
+ */
+const createError = require('http-errors')
+
+// Grasshopper param types (as reported by compute /io) and the .NET type
+// compute uses to deserialize the data
+const TYPES = {
+  Integer: 'System.Int32',
+  Number: 'System.Double',
+  Boolean: 'System.Boolean',
+  Text: 'System.String',
+  String: 'System.String',
+  Point: 'Rhino.Geometry.Point3d',
+  Vector: 'Rhino.Geometry.Vector3d',
+  Line: 'Rhino.Geometry.Line',
+  Curve: 'Rhino.Geometry.Curve',
+  Surface: 'Rhino.Geometry.Surface',
+  Brep: 'Rhino.Geometry.Brep',
+  Mesh: 'Rhino.Geometry.Mesh',
+  SubD: 'Rhino.Geometry.SubD',
+  Geometry: 'Rhino.Geometry.GeometryBase'
+}
+
+const PATH_PATTERN = /^\{\d+(;\d+)*\}$/
+
+// numbers in strings, Number() also takes '', '0x10' and 'Infinity'
+const DECIMAL = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i
+const INTEGER = /^[-+]?\d+$/
+
+// what query strings may say for booleans
+const BOOLEANS = { true: true, '1': true, on: true, false: false, '0': false, off: false }
+
+/**
+ * True if a value is an object that describes DataTree branches
+ */
+function isTree(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value))
+    return false
+  const keys = Object.keys(value)
+  return keys.length > 0 && keys.every(key => PATH_PATTERN.test(key))
+}
+
+/**
+ * True if a value is a single point given as [x, y, z], rather than a list
+ */
+function isCoordinates(value, paramType) {
+  return (paramType === 'Point' || paramType === 'Vector')
+    && Array.isArray(value) && value.every(v => typeof v === 'number')
+}
+
+/**
+ * True if a value looks like the output of rhino3dm's `encode()`
+ */
+function isEncodedGeometry(value) {
+  return value !== null && typeof value === 'object'
+    && Object.prototype.hasOwnProperty.call(value, 'archive3dm')
+    && Object.prototype.hasOwnProperty.call(value, 'data')
+}
+
+function toPoint(value, name) {
+  let [x, y, z] = [undefined, undefined, undefined]
+  if (Array.isArray(value)) {
+    [x, y, z] = value
+  } else if (value !== null && typeof value === 'object') {
+    x = value.x !== undefined ? value.x : value.X
+    y = value.y !== undefined ? value.y : value.Y
+    z = value.z !== undefined ? value.z : value.Z
+  }
+  const point = { X: Number(x), Y: Number(y), Z: Number(z || 0) }
+  if ([point.X, point.Y, point.Z].some(Number.isNaN))
+    throw createError(400, `Input '${name}' expects points as {x, y, z} or [x, y, z]`)
+  return JSON.stringify(point)
+}
+
+/**
+ * Convert a single value into a DataTree item
+ */
+function formatItem(value, paramType, name) {
+  // encoded rhino3dm geometry is sent as is, whatever the param type
+  if (isEncodedGeometry(value))
+    return { type: TYPES[paramType] || TYPES.Geometry, data: JSON.stringify(value) }
+
+  switch (paramType) {
+  case 'Integer':
+    return { type: TYPES.Integer, data: Math.round(Number(value)) }
+  case 'Number':
+    return { type: TYPES.Number, data: Number(value) }
+  case 'Boolean':
+    return { type: TYPES.Boolean, data: value === true || value === 'true' }
+  case 'Text':
+  case 'String':
+    return { type: TYPES.Text, data: String(value) }
+  case 'Point':
+  case 'Vector':
+    return { type: TYPES[paramType], data: toPoint(value, name) }
+  default:
+    if (TYPES[paramType]) {
+      // geometry that is already serialized
+      const data = typeof value === 'string' ? value : JSON.stringify(value)
+      return { type: TYPES[paramType], data: data }
+    }
+    // unknown param type, fall back to guessing from the javascript type
+    if (typeof value === 'boolean')
+      return { type: TYPES.Boolean, data: value }
+    if (typeof value === 'number')
+      return { type: TYPES.Number, data: value }
+    if (value !== null && typeof value === 'object')
+      return { type: TYPES.Text, data: JSON.stringify(value) }
+    return { type: TYPES.Text, data: value }
+  }
+}
+
+function formatBranch(value, paramType, name) {
+  const items = Array.isArray(value) && !isCoordinates(value, paramType) ? value : [value]
+  return items.map(item => formatItem(item, paramType, name))
+}
+
+/**
+ * Find inputs that the definition doesn't have and reject them with a list
+ * of the parameters it does have
+ */
+function checkNames(inputs, params) {
+  const names = params.map(p => p.name)
+  const unknown = Object.keys(inputs).filter(key => !names.includes(key))
+  if (unknown.length > 0) {
+    throw createError(400, `Unknown input${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`,
+      { details: { parameters: names } })
+  }
+}
+
+/**
+ * Flatten a single value, list or tree into a list of items
+ */
+function itemsOf(value, paramType) {
+  if (isTree(value))
+    return Object.values(value).flatMap(branch => itemsOf(branch, paramType))
+  return Array.isArray(value) && !isCoordinates(value, paramType) ? value : [value]
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === ''
+}
+
+/**
+ * Why a value isn't valid for a number input, or null if it is. Strings
+ * are taken when they hold a decimal number, a whole one for integers.
+ */
+function numberProblem(value, paramType) {
+  let number = NaN
+  if (typeof value === 'number') number = value
+  else if (typeof value === 'string' && DECIMAL.test(value.trim())) number = Number(value)
+  if (!Number.isFinite(number)) return 'must be a number'
+  if (paramType === 'Integer' && (!Number.isInteger(number) || (typeof value === 'string' && !INTEGER.test(value.trim()))))
+    return 'must be a whole number'
+  return null
+}
+
+/**
+ * Check inputs against the definition's input metadata before sending them
+ * to compute. Omitted inputs are filled in with their defaults, numbers are
+ * checked against the minimum/maximum and required inputs must be present.
+ *
+ * Out of range numbers are clamped or rejected, depending on `rangeMode`
+ * ('clamp' or 'reject').
+ *
+ * Throws a 422 error with one entry per invalid input in `errors`, otherwise
+ * returns the checked inputs.
+ */
+function validateInputs(inputs, params, rangeMode) {
+  checkNames(inputs, params)
+
+  const checked = {}
+  const errors = []
+
+  for (const param of params) {
+    const name = param.name
+    let value = inputs[name]
+
+    if (isMissing(value)) {
+      if (!isMissing(param.default)) {
+        checked[name] = param.default
+      } else if (param.required) {
+        errors.push({ name, code: 'required', message: `${name} is required` })
+      }
+      continue
+    }
+
+    if (param.paramType === 'Integer' || param.paramType === 'Number') {
+      const check = item => {
+        const problem = numberProblem(item, param.paramType)
+        if (problem) {
+          errors.push({ name, code: 'type', message: `${name} ${problem}`, value: item })
+          return item
+        }
+        const number = Number(item)
+        const min = isMissing(param.minimum) ? -Infinity : Number(param.minimum)
+        const max = isMissing(param.maximum) ? Infinity : Number(param.maximum)
+        if (number >= min && number <= max)
+          return number
+        if (rangeMode === 'clamp')
+          return Math.min(Math.max(number, min), max)
+        const range = isMissing(param.minimum) ? `at most ${param.maximum}`
+          : isMissing(param.maximum) ? `at least ${param.minimum}`
+            : `between ${param.minimum} and ${param.maximum}`
+        errors.push({
+          name,
+          code: 'range',
+          message: `${name} must be ${range}`,
+          value: item,
+          minimum: param.minimum,
+          maximum: param.maximum
+        })
+        return item
+      }
+
+      if (isTree(value)) {
+        const tree = {}
+        for (const [path, branch] of Object.entries(value))
+          tree[path] = Array.isArray(branch) ? branch.map(check) : check(branch)
+        value = tree
+      } else {
+        value = Array.isArray(value) ? value.map(check) : check(value)
+      }
+    } else if (param.paramType === 'Boolean') {
+      itemsOf(value, param.paramType).forEach(item => {
+        if (typeof item !== 'boolean' && item !== 'true' && item !== 'false')
+          errors.push({ name, code: 'type', message: `${name} must be true or false`, value: item })
+      })
+    }
+
+    checked[name] = value
+  }
+
+  if (errors.length > 0)
+    throw createError(422, 'Invalid inputs', { details: { errors } })
+
+  return checked
+}
+
+/**
+ * Format JS inputs into Rhino Compute DataTrees
+ * @param {object} inputs values keyed by input name
+ * @param {object[]} params input metadata from definitions.getParams
+ */
+function formatInputs(inputs, params) {
+  checkNames(inputs, params)
+
+  const values = []
+  for (const [key, value] of Object.entries(inputs)) {
+    const param = params.find(p => p.name === key)
+    const innerTree = {}
+
+    if (isTree(value)) {
+      for (const [path, branch] of Object.entries(value))
+        innerTree[path] = formatBranch(branch, param.paramType, key)
+    } else {
+      innerTree['{0}'] = formatBranch(value, param.paramType, key)
+    }
+
+    values.push({ ParamName: key, InnerTree: innerTree })
+  }
+  return values
+}
+
+/**
+ * Convert query string values (always strings) into the types described by
+ * the definition's input metadata. Repeated parameters become lists and
+ * points/geometry can be passed as json strings.
+ */
+function coerceQueryInputs(query, params) {
+  checkNames(query, params)
+
+  const inputs = {}
+  // bad numbers are reported the way validateInputs reports them
+  const errors = []
+  for (const [key, raw] of Object.entries(query)) {
+    const paramType = params.find(p => p.name === key).paramType
+    const coerce = value => {
+      let result = value
+      switch (paramType) {
+      case 'Integer':
+      case 'Number': {
+        // empty values are left to validateInputs, they fall back to the default
+        result = String(value).trim()
+        if (isMissing(result)) break
+        const problem = numberProblem(result, paramType)
+        if (problem)
+          errors.push({ name: key, code: 'type', message: `${key} ${problem}`, value })
+        else
+          result = Number(result)
+        break
+      }
+      case 'Boolean':
+        result = String(value).trim().toLowerCase()
+        if (isMissing(result)) break
+        if (result in BOOLEANS)
+          result = BOOLEANS[result]
+        else
+          errors.push({ name: key, code: 'type', message: `${key} must be true or false`, value })
+        break
+      default:
+        if (TYPES[paramType] && paramType !== 'Text' && paramType !== 'String') {
+          try {
+            result = JSON.parse(value)
+          } catch (error) {
+            throw createError(400, `Query parameter '${key}' is not valid json`)
+          }
+        }
+      }
+      return result
+    }
+    inputs[key] = Array.isArray(raw) ? raw.map(coerce) : coerce(raw)
+  }
+
+  if (errors.length > 0)
+    throw createError(422, 'Invalid inputs', { details: { errors } })
+
+  return inputs
+}
+
+module.exports = { formatInputs, coerceQueryInputs, validateInputs, isEncodedGeometry }
@@ -0,0 +1,212 @@
+/**
+ * Asynchronous solve jobs
+ *
+ * A job is created with a solve function, gets an id right away and runs
+ * through the solve queue in the background. Clients poll the job for its
+ * status, timings and result.
+ *
+ * Job records are kept in a store chosen with the JOB_STORE environment
+ * variable:
+ *  'memory' (default)
+ *     jobs live in the worker process that created them
+ *  'file'
+ *     one json file per job in JOB_STORE_DIR (default: <tmp>/appserver-jobs),
+ *     so jobs survive restarts and can be polled from any worker
+ *  path to a module
+ *     a custom store exporting an object with async get(id), save(job),
+ *     remove(id) and expired(before) methods
+ *
+ * Finished jobs are removed after JOB_TTL seconds (default 3600).
+ */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const queue = require('./queue.js')
+
+const JOB_TTL = parseInt(process.env.JOB_TTL || '3600', 10) * 1000
+const FINISHED = ['succeeded', 'failed', 'cancelled']
+
+class MemoryStore {
+  constructor() {
+    this.jobs = new Map()
+  }
+
+  async get(id) {
+    return this.jobs.get(id)
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, job)
+  }
+
+  async remove(id) {
+    this.jobs.delete(id)
+  }
+
+  async expired(before) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.finishedAt && job.finishedAt < before)
+      .map(job => job.id)
+  }
+}
+
+class FileStore {
+  constructor(dir) {
+    this.dir = dir
+    fs.mkdirSync(dir, { recursive: true })
+  }
+
+  file(id) {
+    // ids are generated by us, but never trust a url parameter with a path
+    return path.join(this.dir, path.basename(id) + '.json')
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file(id), 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined
+      throw error
+    }
+  }
+
+  async save(job) {
+    // write then rename so readers in other workers never see half a file
+    const tmp = this.file(job.id) + '.' + process.pid
+    await fs.promises.writeFile(tmp, JSON.stringify(job))
+    await fs.promises.rename(tmp, this.file(job.id))
+  }
+
+  async remove(id) {
+    await fs.promises.rm(this.file(id), { force: true })
+  }
+
+  async expired(before) {
+    const ids = []
+    for (const file of await fs.promises.readdir(this.dir)) {
+      if (!file.endsWith('.json')) continue
+      const job = await this.get(path.basename(file, '.json'))
+      if (job && job.finishedAt && job.finishedAt < before) ids.push(job.id)
+    }
+    return ids
+  }
+}
+
+function createStore() {
+  const type = process.env.JOB_STORE || 'memory'
+  switch (type) {
+  case 'memory':
+    return new MemoryStore()
+  case 'file':
+    return new FileStore(process.env.JOB_STORE_DIR || path.join(os.tmpdir(), 'appserver-jobs'))
+  default:
+    return require(path.resolve(type))
+  }
+}
+
+const store = createStore()
+
+// abort controllers of the jobs running in this worker
+const controllers = new Map()
+
+/**
+ * Create a job and start it in the background
+ * @param {object} info extra properties stored with the job (e.g. definition)
+ * @param {function} solve async function({ id, signal, onStart }) that
+ *   resolves with the solve result. It must call `await onStart()` when the
+ *   solve leaves the queue and starts on compute.
+ * @returns {object} the new job
+ */
+async function createJob(info, solve) {
+  const job = Object.assign({
+    id: crypto.randomUUID(),
+    status: 'queued',
+    createdAt: Date.now()
+  }, info)
+  await store.save(job)
+
+  const controller = new AbortController()
+  controllers.set(job.id, controller)
+
+  const onStart = async () => {
+    // the job may have been cancelled from another worker while it waited
+    const current = await store.get(job.id)
+    if (!current || current.status === 'cancelled') {
+      controller.abort()
+      throw new Error('Job cancelled')
+    }
+    await store.save(Object.assign(current, { status: 'running', startedAt: Date.now() }))
+  }
+
+  solve({ id: job.id, signal: controller.signal, onStart })
+    .then(result => finish(job.id, { status: 'succeeded', result }))
+    .catch(error => {
+      if (!controller.signal.aborted)
+        return finish(job.id, { status: 'failed', error: error.message })
+    })
+    .catch(error => console.error(`Failed to store outcome of job ${job.id}:`, error.message))
+    .finally(() => controllers.delete(job.id))
+
+  return job
+}
+
+/**
+ * Store the outcome of a job, unless it was cancelled in the meantime
+ */
+async function finish(id, outcome) {
+  const job = await store.get(id)
+  if (!job || job.status === 'cancelled') return
+  job.finishedAt = Date.now()
+  job.timings = timings(Object.assign(job, outcome))
+  await store.save(job)
+}
+
+function timings(job) {
+  const started = job.startedAt || job.finishedAt
+  return {
+    queued: started - job.createdAt,
+    solve: job.startedAt ? job.finishedAt - job.startedAt : 0,
+    total: job.finishedAt - job.createdAt
+  }
+}
+
+/**
+ * Get a job, with its place in line if it is still waiting
+ */
+async function getJob(id) {
+  const job = await store.get(id)
+  if (job && job.status === 'queued' && controllers.has(id))
+    return Object.assign({}, job, { position: queue.position(controllers.get(id).signal) })
+  return job
+}
+
+/**
+ * Cancel a queued or running job. Returns the job, or undefined if the job
+ * doesn't exist
+ */
+async function cancelJob(id) {
+  const job = await store.get(id)
+  if (!job || FINISHED.includes(job.status)) return job
+
+  job.status = 'cancelled'
+  job.finishedAt = Date.now()
+  job.timings = timings(job)
+  await store.save(job)
+
+  if (controllers.has(id))
+    controllers.get(id).abort()
+  return job
+}
+
+// clean up finished jobs
+setInterval(async () => {
+  try {
+    const ids = await store.expired(Date.now() - JOB_TTL)
+    for (const id of ids) await store.remove(id)
+  } catch (error) {
+    console.error('Job cleanup failed:', error.message)
+  }
+}, 60 * 1000).unref()
+
+module.exports = { createJob, getJob, cancelJob, FINISHED }
@@ -0,0 +1,179 @@
+/**
+ * Rate limits and daily quotas
+ *
+ * Rate limits are token buckets per client: the API key's name (see
+ * auth.js), or the IP address for requests without credentials. Limits are
+ * set per route group as '<requests>/<seconds>', e.g. '30/60' allows bursts
+ * of 30 requests and refills one every 2 seconds. 'off' disables a limit.
+ *  RATE_LIMIT_SOLVE (default '30/60')  solves, sync or as jobs
+ *  RATE_LIMIT_WAKEUP (default '3/300') /wakeup
+ *  RATE_LIMIT_INFO (default '120/60')  /definition/:name/info
+ *
+ * Quotas cap what a client can use per day (UTC):
+ *  QUOTA_SOLVES          solves sent to compute (cache hits are free)
+ *  QUOTA_COMPUTE_SECONDS seconds compute spent solving
+ * Both are unlimited by default.
+ *
+ * A key or JWT can have its own `limits` ({ "solve": "100/60" }) and
+ * `quota` ({ "solves": 1000, "computeSeconds": 3600 }). Admins aren't
+ * limited. Requests over a limit or quota get a 429 with Retry-After.
+ *
+ * Buckets and usage are kept in the store shared by all workers (see
+ * activity.js): by the cluster master, unless POWER_STORE names another
+ * store. They survive workers being replaced, but not a restart of the
+ * appserver. When the store can't be reached, requests are let through.
+ */
+const createError = require('http-errors')
+const { createStore } = require('./activity')
+
+const DEFAULT_LIMITS = {
+  solve: '30/60',
+  wakeup: '3/300',
+  info: '120/60'
+}
+
+const store = createStore()
+
+/**
+ * Parse '<requests>/<seconds>', null when the limit is off
+ */
+function parseLimit(value) {
+  if (value === undefined || value === null || value === 'off' || value === '0') return null
+  const match = /^\s*(\d+)\s*\/\s*(\d+(\.\d+)?)\s*$/.exec(String(value))
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    console.error(`Ignoring invalid rate limit: ${value}`)
+    return null
+  }
+  return { requests: Number(match[1]), seconds: Number(match[2]) }
+}
+
+function limitFor(client, group) {
+  const own = ((client || {}).limits || {})[group]
+  return parseLimit(own !== undefined ? own : (process.env[`RATE_LIMIT_${group.toUpperCase()}`] || DEFAULT_LIMITS[group]))
+}
+
+function quotaFor(client) {
+  const own = (client || {}).quota || {}
+  const number = value => (value === undefined || value === null || value === '') ? null : Number(value)
+  return {
+    solves: number(own.solves !== undefined ? own.solves : process.env.QUOTA_SOLVES),
+    computeSeconds: number(own.computeSeconds !== undefined ? own.computeSeconds : process.env.QUOTA_COMPUTE_SECONDS)
+  }
+}
+
+/**
+ * Who requests are counted for
+ */
+function clientId(req) {
+  return req.client && !req.client.anonymous ? `key:${req.client.name}` : `ip:${req.ip}`
+}
+
+function isAdmin(client) {
+  return !!client && client.scopes.includes('admin')
+}
+
+/**
+ * Middleware that rate limits a group of routes
+ */
+function rateLimit(group) {
+  return async (req, res, next) => {
+    const limit = limitFor(req.client, group)
+    if (!limit || isAdmin(req.client)) return next()
+
+    let result
+    try {
+      result = await store.take(`${group}:${clientId(req)}`, limit.requests, limit.seconds)
+    } catch (error) {
+      console.error(`Unable to check the ${group} rate limit: ${error.message}`)
+      return next()
+    }
+    res.set('X-RateLimit-Limit', `${limit.requests};w=${limit.seconds}`)
+    res.set('X-RateLimit-Remaining', String(result.remaining))
+    if (!result.allowed) {
+      return next(createError(429, `Too many ${group} requests, try again in ${result.retryAfter}s`, {
+        headers: { 'Retry-After': String(result.retryAfter) }
+      }))
+    }
+    next()
+  }
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10)
+}
+
+function secondsUntilTomorrow() {
+  const now = new Date()
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+  return Math.ceil((tomorrow - now.getTime()) / 1000)
+}
+
+/**
+ * Throw a 429 when a client has used up its quota for the day
+ */
+async function checkQuota(req) {
+  if (isAdmin(req.client)) return
+  const quota = quotaFor(req.client)
+  if (quota.solves === null && quota.computeSeconds === null) return
+
+  let used
+  try {
+    used = await store.usage(clientId(req), today())
+  } catch (error) {
+    console.error(`Unable to check the quota: ${error.message}`)
+    return
+  }
+
+  const over = (quota.solves !== null && used.solves >= quota.solves && 'solves') ||
+    (quota.computeSeconds !== null && used.computeSeconds >= quota.computeSeconds && 'compute seconds')
+  if (over) {
+    const retryAfter = secondsUntilTomorrow()
+    throw createError(429, `Daily quota of ${over} used up`, { headers: { 'Retry-After': String(retryAfter) } })
+  }
+}
+
+/**
+ * Count a solve that went to compute against a client's quota
+ * @param {object} req the request that started the solve
+ * @param {number} duration ms compute spent solving
+ */
+async function recordSolve(req, duration) {
+  try {
+    await store.record(clientId(req), today(), duration / 1000)
+  } catch (error) {
+    console.error(`Unable to record a solve for the quota: ${error.message}`)
+  }
+}
+
+/**
+ * What a client has used today and what it has left
+ */
+async function report(req) {
+  const id = clientId(req)
+  const day = today()
+  const used = await store.usage(id, day)
+  const quota = quotaFor(req.client)
+
+  const limits = {}
+  for (const group of Object.keys(DEFAULT_LIMITS)) {
+    const limit = isAdmin(req.client) ? null : limitFor(req.client, group)
+    limits[group] = limit && {
+      requests: limit.requests,
+      seconds: limit.seconds,
+      remaining: await store.tokens(`${group}:${id}`, limit.requests, limit.seconds)
+    }
+  }
+
+  return {
+    client: id,
+    day,
+    limits,
+    quota: {
+      solves: { used: used.solves, limit: isAdmin(req.client) ? null : quota.solves },
+      computeSeconds: { used: Math.round(used.computeSeconds * 10) / 10, limit: isAdmin(req.client) ? null : quota.computeSeconds }
+    },
+    resetsIn: secondsUntilTomorrow()
+  }
+}
+
+module.exports = { rateLimit, checkQuota, recordSolve, report, clientId }
@@ -0,0 +1,147 @@
+/**
+ * Per-definition manifest
+ *
+ * A definition can have a json manifest next to it with the same name
+ * (e.g. 'files/myDefinition.json' for 'files/myDefinition.gh'). The manifest
+ * holds what compute can't tell us about a definition. All fields are
+ * optional:
+ *
+ *  displayName, category, description, tags
+ *     how the definition is presented and found (see routes/index.js)
+ *  inputs
+ *     ui hints keyed by input name: label, group, order, units, step and
+ *     accept (file types for text inputs that take a file), and the range
+ *     of numbers (minimum, maximum) when compute doesn't report one
+ *  outputs
+ *     what each output is for, keyed by output name: role is 'download'
+ *     (with filename and mimeType), 'preview' (geometry, with color) or 'log'
+ *  validation
+ *     range ('reject' or 'clamp', see inputs.js), plus expectations checked
+ *     against compute's /io: inputs (names that must exist) and outputs
+ *     (number of outputs or names that must exist)
+ *  cache.ttl
+ *     see cache.js
+ *  model
+ *     default units and tolerances, see units.js
+ */
+const fs = require('fs')
+const path = require('path')
+
+const INPUT_HINTS = ['label', 'group', 'order', 'units', 'step', 'accept', 'minimum', 'maximum']
+// hints that only fill in what compute doesn't report
+const RANGE_HINTS = ['minimum', 'maximum']
+const OUTPUT_HINTS = ['role', 'filename', 'mimeType', 'color']
+
+/**
+ * Read the manifest for a definition, {} if there is none
+ */
+function loadManifest(dir, base) {
+  const manifestPath = path.join(dir, base + '.json')
+  if (!fs.existsSync(manifestPath)) return {}
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+  } catch (error) {
+    console.error(`Ignoring invalid manifest ${manifestPath}: ${error.message}`)
+    return {}
+  }
+}
+
+function pick(source, keys) {
+  const result = {}
+  keys.filter(key => source[key] !== undefined).forEach(key => { result[key] = source[key] })
+  return result
+}
+
+/**
+ * Inputs with their hints, in manifest order. Inputs without an order keep
+ * the order compute reported them in, after the ones that have one. The
+ * range of a slider wins over the one in the manifest.
+ */
+function mergeInputs(inputs, hints) {
+  const merged = inputs.map((input, index) => {
+    const hint = pick(hints[input.name] || {}, INPUT_HINTS)
+    RANGE_HINTS.filter(key => input[key] !== null && input[key] !== undefined).forEach(key => delete hint[key])
+    return Object.assign({}, input, hint, { index })
+  })
+  const order = input => input.order !== undefined ? input.order : Infinity
+  merged.sort((a, b) => (order(a) - order(b)) || (a.index - b.index))
+  merged.forEach(input => delete input.index)
+  return merged
+}
+
+/**
+ * Compute's output names come as strings or as objects with a name
+ */
+function outputName(output) {
+  return typeof output === 'string' ? output : output.name
+}
+
+function mergeOutputs(outputs, hints) {
+  return outputs.map(output => {
+    const base = typeof output === 'string' ? { name: output } : output
+    return Object.assign({}, base, pick(hints[outputName(output)] || {}, OUTPUT_HINTS))
+  })
+}
+
+/**
+ * Check compute's /io against the expectations in the manifest
+ * @returns {object} { passed, checks: [{ check, passed, message }] }
+ */
+function checkExpectations(params, validation) {
+  const checks = []
+  const inputNames = params.inputs.map(i => i.name)
+  const outputNames = params.outputs.map(outputName)
+
+  for (const name of validation.inputs || []) {
+    const passed = inputNames.includes(name)
+    checks.push({ check: 'input', passed, message: passed ? `'${name}' input found` : `Missing '${name}' input` })
+  }
+
+  const outputs = validation.outputs
+  if (typeof outputs === 'number') {
+    const passed = outputNames.length === outputs
+    checks.push({
+      check: 'outputs',
+      passed,
+      message: passed ? `${outputs} outputs found` : `Found ${outputNames.length} outputs (expected ${outputs})`
+    })
+  } else if (Array.isArray(outputs)) {
+    outputs.forEach(name => {
+      const passed = outputNames.includes(name)
+      checks.push({ check: 'output', passed, message: passed ? `'${name}' output found` : `Missing '${name}' output` })
+    })
+  }
+
+  return { passed: checks.every(c => c.passed), checks }
+}
+
+/**
+ * The name shown to users: the manifest's displayName, or the file name
+ * without folders and extension
+ */
+function displayName(definition) {
+  return (definition.manifest || {}).displayName || path.parse(definition.name).name
+}
+
+/**
+ * Merge a definition's manifest into the metadata from compute's /io (see
+ * definitions.getParams)
+ */
+function applyManifest(definition, params) {
+  const manifest = definition.manifest || {}
+  const inputs = params.inputs || []
+  const outputs = params.outputs || []
+
+  return Object.assign({}, params, {
+    name: definition.name,
+    displayName: displayName(definition),
+    category: manifest.category || null,
+    tags: manifest.tags || [],
+    description: manifest.description || params.description,
+    inputs: mergeInputs(inputs, manifest.inputs || {}),
+    outputs: mergeOutputs(outputs, manifest.outputs || {}),
+    validation: checkExpectations({ inputs, outputs }, manifest.validation || {})
+  })
+}
+
+module.exports = { loadManifest, applyManifest, displayName }
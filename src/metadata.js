@@ -0,0 +1,56 @@
+/**
+ * Input/output metadata of definitions, stored on disk
+ *
+ * What compute's /io reports for a definition only depends on the file, so
+ * it is stored in DEFINITION_METADATA_DIR (default: files/.metadata) in a
+ * json file named after the definition's md5 hash:
+ *   files/.metadata/<md5>.json
+ *
+ * Entries survive restarts, are shared by all workers and can be read while
+ * compute is asleep. An entry is only replaced when the file's hash changes,
+ * or when it was stored in an older FORMAT.
+ */
+const fs = require('fs')
+const path = require('path')
+
+const METADATA_DIR = process.env.DEFINITION_METADATA_DIR || path.join(__dirname, 'files', '.metadata')
+// bump when what definitions.getParams returns changes
+const FORMAT = 2
+
+function metadataPath(id) {
+  return path.join(METADATA_DIR, path.basename(id) + '.json')
+}
+
+/**
+ * The stored metadata for a definition hash, or undefined
+ */
+async function readMetadata(id) {
+  try {
+    const { format, ...params } = JSON.parse(await fs.promises.readFile(metadataPath(id), 'utf8'))
+    return format === FORMAT ? params : undefined
+  } catch (error) {
+    if (error.code !== 'ENOENT')
+      console.error(`Ignoring stored metadata for ${id}: ${error.message}`)
+    return undefined
+  }
+}
+
+/**
+ * Store the metadata for a definition hash
+ */
+async function writeMetadata(id, params) {
+  await fs.promises.mkdir(METADATA_DIR, { recursive: true })
+  // write then rename, so other workers never read half a file
+  const tmp = `${metadataPath(id)}.${process.pid}.tmp`
+  await fs.promises.writeFile(tmp, JSON.stringify(Object.assign({ format: FORMAT }, params)))
+  await fs.promises.rename(tmp, metadataPath(id))
+}
+
+/**
+ * Forget the metadata for a definition hash
+ */
+async function removeMetadata(id) {
+  await fs.promises.rm(metadataPath(id), { force: true })
+}
+
+module.exports = { readMetadata, writeMetadata, removeMetadata, METADATA_DIR }
@@ -0,0 +1,265 @@
+/**
+ * A mock Rhino Compute server, to run the appserver without Rhino
+ *
+ * Implements /healthcheck, /version, /io and /grasshopper with the shapes
+ * compute answers with. /io and /grasshopper answer from fixture files, json
+ * files in the fixtures directory (default src/mock/fixtures) holding one
+ * fixture or an array of them:
+ *   {
+ *     "URL": "/grasshopper",
+ *     "Definition": ["cncProfiler-v0.8.gh"],
+ *     "Inputs": { "Tool Diameter": 0 },
+ *     "Status": 500,
+ *     "Delay": 2000,
+ *     "Response": "Solution exception: Tool Diameter must be larger than 0"
+ *   }
+ * `Definition` (a name or a list of names) and `Inputs` (the first value
+ * of an input, parsed) are optional, the fixture matching the most of them
+ * wins. `Response` is sent as json, or as text when it is a string. A
+ * fixture for /healthcheck or /version replaces the built in answer.
+ *
+ * Definitions are recognized by the md5 hash of the files in the
+ * definitions directory (default src/files), or by the `filename` Hops
+ * sends. Like compute, the mock only knows a pointer after the definition
+ * was sent along with it once, and answers other pointers with a 500.
+ * Pointers to urls (DEFINITION_TRANSFER=url) are downloaded.
+ *
+ * Options to inject failures (all can be changed with PUT /mock/config):
+ *  latency
+ *     ms every request waits, or a range as 'min-max'
+ *  apiKey
+ *     answer requests without this RhinoComputeKey header with a 401
+ *  fail
+ *     { endpoint: status } requests to fail, e.g. { grasshopper: 503 }.
+ *     'all' fails every endpoint
+ *  errorRate
+ *     share (0 - 1) of /io and /grasshopper requests that fail with a 500
+ *
+ * GET /mock/requests lists the last requests, DELETE clears them.
+ */
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const express = require('express')
+const fetch = require('node-fetch')
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures')
+const DEFAULT_DEFINITIONS = path.join(__dirname, '../files')
+const MAX_REQUESTS = 100
+
+// what compute answers when it can't load the definition (see compute.isDefinitionMiss)
+const DEFINITION_MISS = 'Unable to convert Base-64 encoded Grasshopper script to a GrasshopperDefinition object.'
+
+const md5 = data => crypto.createHash('md5').update(data).digest('hex')
+
+/**
+ * Read the fixtures in a directory, in file name order
+ */
+function loadFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .flatMap(file => {
+      const content = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+      return [].concat(content).map(fixture => Object.assign({ file }, fixture))
+    })
+}
+
+/**
+ * Definition names by the md5 hash of their file
+ */
+function hashDefinitions(dir, prefix = '') {
+  const hashes = new Map()
+  if (!fs.existsSync(dir)) return hashes
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue
+    const file = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      hashDefinitions(file, `${prefix}${entry.name}/`).forEach((name, hash) => hashes.set(hash, name))
+    } else if (/\.ghx?$/.test(entry.name)) {
+      hashes.set(md5(fs.readFileSync(file)), prefix + entry.name)
+    }
+  }
+  return hashes
+}
+
+/**
+ * The first value of every input of a solve request, parsed
+ */
+function inputValues(body) {
+  const values = {}
+  for (const value of body.values || []) {
+    const items = [].concat(...Object.values(value.InnerTree || {}))
+    if (items.length === 0) continue
+    const name = String(value.ParamName).replace(/^RH_IN:/, '')
+    try {
+      values[name] = JSON.parse(items[0].data)
+    } catch (error) {
+      values[name] = items[0].data
+    }
+  }
+  return values
+}
+
+/**
+ * How well a fixture matches a request, or -1 when it doesn't
+ */
+function score(fixture, endpoint, definitions, values) {
+  if (String(fixture.URL).replace(/^\//, '') !== endpoint) return -1
+  let matched = 0
+  if (fixture.Definition) {
+    if (![].concat(fixture.Definition).some(name => definitions.includes(name))) return -1
+    matched++
+  }
+  for (const [name, expected] of Object.entries(fixture.Inputs || {})) {
+    if (JSON.stringify(values[name]) !== JSON.stringify(expected)) return -1
+    matched++
+  }
+  return matched
+}
+
+function delayOf(latency) {
+  const [min, max] = String(latency || 0).split('-').map(Number)
+  return max === undefined ? min : min + Math.random() * (max - min)
+}
+
+/**
+ * @param {object} [options]
+ * @param {string|string[]} [options.fixtures] directory with the fixtures,
+ *   or several of them
+ * @param {string} [options.definitions] directory with the definitions
+ * @param {number|string} [options.latency]
+ * @param {string} [options.apiKey]
+ * @param {object} [options.fail]
+ * @param {number} [options.errorRate]
+ * @returns {express.Application}
+ */
+function mockCompute(options = {}) {
+  const config = {
+    latency: options.latency || 0,
+    apiKey: options.apiKey || null,
+    fail: Object.assign({}, options.fail),
+    errorRate: options.errorRate || 0
+  }
+  const fixtures = [].concat(options.fixtures || DEFAULT_FIXTURES).flatMap(loadFixtures)
+  const hashes = hashDefinitions(options.definitions || DEFAULT_DEFINITIONS)
+  // pointers compute got the definition for, and the definition's name
+  const pointers = new Map()
+  const requests = []
+
+  /**
+   * The names the definition of a request is known by, or null when
+   * compute wouldn't have the definition
+   */
+  async function definitionOf(body) {
+    if (body.algo) {
+      const name = hashes.get(md5(Buffer.from(body.algo, 'base64'))) || body.filename
+      pointers.set('md5_' + md5(body.algo), name)
+      if (body.pointer) pointers.set(String(body.pointer).toLowerCase(), name)
+    } else if (/^https?:/.test(body.pointer)) {
+      // DEFINITION_TRANSFER=url, compute downloads the definition
+      const res = await fetch(body.pointer)
+      if (!res.ok) return null
+      return [hashes.get(md5(await res.buffer())), body.filename].filter(Boolean)
+    } else if (!body.pointer || !pointers.has(String(body.pointer).toLowerCase())) {
+      return null
+    }
+    const key = body.algo ? 'md5_' + md5(body.algo) : String(body.pointer).toLowerCase()
+    return [pointers.get(key), body.filename].filter(Boolean)
+  }
+
+  const app = express()
+  app.use(express.json({ limit: '100mb' }))
+
+  app.get('/mock/requests', (req, res) => res.json(requests))
+  app.delete('/mock/requests', (req, res) => {
+    requests.length = 0
+    res.status(204).end()
+  })
+  app.put('/mock/config', (req, res) => {
+    Object.assign(config, req.body)
+    res.json(config)
+  })
+
+  app.use((req, res, next) => {
+    const start = Date.now()
+    const entry = { time: new Date(start).toISOString(), method: req.method, url: req.url }
+    res.on('finish', () => {
+      entry.status = res.statusCode
+      entry.duration = Date.now() - start
+      requests.push(entry)
+      if (requests.length > MAX_REQUESTS) requests.shift()
+    })
+    req.entry = entry
+    setTimeout(next, delayOf(config.latency))
+  })
+
+  app.use((req, res, next) => {
+    if (config.apiKey && req.get('RhinoComputeKey') !== config.apiKey)
+      return res.status(401).type('text').send('Unauthorized')
+    const endpoint = req.path.replace(/^\//, '')
+    const status = config.fail[endpoint] || config.fail.all
+    if (status) return res.status(status).type('text').send(`Mock failure (${status})`)
+    if (['io', 'grasshopper'].includes(endpoint) && Math.random() < config.errorRate)
+      return res.status(500).type('text').send('Mock error')
+    next()
+  })
+
+  function answer(res, fixture) {
+    const send = () => {
+      res.status(fixture.Status || 200)
+      if (typeof fixture.Response === 'string') res.type('text').send(fixture.Response)
+      else res.json(fixture.Response)
+    }
+    if (fixture.Delay) setTimeout(send, fixture.Delay)
+    else send()
+  }
+
+  function builtIn(endpoint, response) {
+    return (req, res) => {
+      const fixture = fixtures.find(f => score(f, endpoint, [], {}) >= 0)
+      if (fixture) answer(res, fixture)
+      else res.send(response)
+    }
+  }
+
+  app.get('/healthcheck', builtIn('healthcheck', 'healthy'))
+  app.get('/version', builtIn('version', { rhino: '8.0.0 (mock)', compute: '0.0.0 (mock)', git_sha: null }))
+
+  for (const endpoint of ['io', 'grasshopper']) {
+    app.post(`/${endpoint}`, async (req, res, next) => {
+      const body = req.body || {}
+      let definitions
+      try {
+        definitions = await definitionOf(body)
+      } catch (error) {
+        return next(error)
+      }
+      if (!definitions) return res.status(500).type('text').send(DEFINITION_MISS)
+      req.entry.definition = definitions[0]
+
+      const values = inputValues(body)
+      let best = null
+      let bestScore = -1
+      for (const fixture of fixtures) {
+        const s = score(fixture, endpoint, definitions, values)
+        if (s > bestScore) {
+          best = fixture
+          bestScore = s
+        }
+      }
+      if (!best) {
+        const name = definitions[0] || 'this definition'
+        return res.status(500).type('text').send(`No mock fixture for /${endpoint} of ${name}`)
+      }
+      req.entry.fixture = best.file
+      answer(res, best)
+    })
+  }
+
+  app.use((req, res) => res.status(404).type('text').send(`No mock for ${req.method} ${req.path}`))
+
+  return app
+}
+
+module.exports = { mockCompute, loadFixtures }
@@ -9,6 +9,7 @@ const DEFAULT_DEFINITION_NAME = 'cncProfiler-v0.8.gh'; // <--- Set your default
 let currentDefinition = null;
 let inputs = {};
 let gcodeResult = null;
+let outputs = []; // outputs of the current definition, with their manifest roles
 let scene, camera, renderer, controls;
 let rhino;
 
@@ -16,6 +17,18 @@ let rhino;
 let liveCompute = false;
 let defaultDxfB64 = null;
 
+// Model units sent with every solve. The work area (a 48 x 96 inch sheet)
+// and the grid are drawn in the same units as the geometry that comes back.
+const UNITS = {
+    Inches: { scale: 1, gridStep: 1 },
+    Millimeters: { scale: 25.4, gridStep: 25 }
+};
+let units = 'Inches';
+
+// Session id used to receive server events (health, power, solve progress)
+const sessionId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`;
+let eventSource = null;
+
 // Modal State
 let activeParamName = null;
 let activeDisplayEl = null;
@@ -27,6 +40,7 @@ const downloadBtn = document.getElementById('downloadBtn');
 const definitionSelect = document.getElementById('definitionSelect');
 const computeBtn = document.getElementById('computeBtn');
 const liveComputeToggle = document.getElementById('liveComputeToggle');
+const unitsSelect = document.getElementById('unitsSelect');
 
 // Modal Elements
 const valueModal = document.getElementById('value-modal');
@@ -67,27 +81,8 @@ async function init() {
         console.log("Sending wakeup command...");
         fetch('/wakeup', { method: 'POST' }).catch(e => console.error("Wakeup trigger failed:", e));
 
-        // 2. Poll Health Check
-        let isHealthy = false;
-        while (!isHealthy) {
-            try {
-                const res = await fetch('/healthcheck');
-                if (res.ok) {
-                    isHealthy = true;
-                } else {
-                    const text = await res.text();
-                    console.log("Waiting for healthy response...", text);
-                    statusText.innerText = `Starting Compute... (${res.status})`;
-                }
-            } catch (err) {
-                console.log("Health check connection failed, retrying...");
-            }
-
-            if (!isHealthy) {
-                // Wait 2 seconds before retrying
-                await new Promise(r => setTimeout(r, 2000));
-            }
-        }
+        // 2. Wait for the server to report that compute is healthy
+        await waitForCompute(statusText);
     } catch (err) {
         statusText.innerText = "Error: " + err.message;
         return; // Stop execution
@@ -104,23 +99,7 @@ async function init() {
     init3D();
 
     try {
-        const res = await fetch('/');
-        const definitions = await res.json();
-        
-        let defaultExists = false;
-
-        definitions.forEach(def => {
-            if (def.name.endsWith('.gh') || def.name.endsWith('.ghx')) {
-                const option = document.createElement('option');
-                option.value = def.name;
-                option.innerText = def.name;
-                definitionSelect.appendChild(option);
-
-                if (def.name === DEFAULT_DEFINITION_NAME) {
-                    defaultExists = true;
-                }
-            }
-        });
+        const defaultExists = await loadDefinitionList();
 
         // --- LOAD DEFAULT IF AVAILABLE ---
         if (defaultExists) {
@@ -138,6 +117,14 @@ async function init() {
         }
     });
 
+    unitsSelect.addEventListener('change', (e) => {
+        units = e.target.value;
+        buildWorkArea();
+        onWindowResize();
+        handleViewSnap('iso');
+        triggerSolve(); // geometry has to come back in the new units
+    });
+
     window.addEventListener('snap-view', (e) => {
         handleViewSnap(e.detail);
     });
@@ -187,6 +174,82 @@ async function init() {
 //                 LOGIC & COMMUNICATION
 // =========================================================
 
+// Fill the definition dropdown, returns true if the default definition exists
+async function loadDefinitionList() {
+    const res = await fetch('/');
+    const definitions = await res.json();
+
+    let defaultExists = false;
+
+    definitionSelect.querySelectorAll('option:not([disabled])').forEach(o => o.remove());
+    definitions.forEach(def => {
+        if (def.name.endsWith('.gh') || def.name.endsWith('.ghx')) {
+            const option = document.createElement('option');
+            option.value = def.name;
+            option.innerText = def.name;
+            definitionSelect.appendChild(option);
+
+            if (def.name === DEFAULT_DEFINITION_NAME) {
+                defaultExists = true;
+            }
+        }
+    });
+    if (currentDefinition) definitionSelect.value = currentDefinition;
+
+    return defaultExists;
+}
+
+// A definition was added, changed or removed on the server
+async function onDefinitionsChanged(change) {
+    console.log("Definitions changed on the server:", change);
+    await loadDefinitionList();
+    if (change.changed.includes(currentDefinition)) {
+        loadDefinition(currentDefinition); // its inputs may have changed
+    }
+}
+
+// Subscribe to server events and resolve once compute reports healthy.
+// The server pushes VM power state and health changes, so we don't poll.
+function waitForCompute(statusText) {
+    return new Promise(resolve => {
+        eventSource = new EventSource(`/events?session=${encodeURIComponent(sessionId)}`);
+
+        eventSource.addEventListener('power', (e) => {
+            const power = JSON.parse(e.data);
+            console.log("Compute VM power state:", power.state);
+            statusText.innerText = `Compute VM is ${power.state}... (This may take 1-2 mins)`;
+        });
+
+        eventSource.addEventListener('health', (e) => {
+            const health = JSON.parse(e.data);
+            if (health.healthy) {
+                resolve();
+            } else {
+                console.log("Waiting for healthy response...", health);
+                const down = (health.backends || []).map(b => b.name);
+                statusText.innerText = `Starting Compute... (waiting for ${down.join(', ') || 'a compute server'})`;
+            }
+        });
+
+        eventSource.addEventListener('definitions', (e) => {
+            onDefinitionsChanged(JSON.parse(e.data)).catch(err =>
+                console.error("Failed to reload definitions", err));
+        });
+
+        eventSource.addEventListener('solve', (e) => {
+            const progress = JSON.parse(e.data);
+            const loader = document.getElementById('loader');
+            if (progress.stage === 'waking') {
+                loader.innerText = "Starting the compute server... ⏳";
+            } else if (progress.stage === 'queued') {
+                loader.innerText = `Queued (position ${progress.position})... ⏳`;
+            } else if (progress.stage === 'started') {
+                loader.innerText = "Processing... ⚙️";
+            }
+        });
+    });
+}
+
 async function loadDefinition(name) {
     currentDefinition = name;
     container.innerHTML = '<p style="text-align:center">Loading parameters...</p>';
@@ -195,20 +258,35 @@ async function loadDefinition(name) {
     downloadBtn.disabled = true;
 
     try {
-        const res = await fetch(`/definition/${name}/info`);
+        const res = await fetch(`/definition/${encodeURIComponent(name)}/info`);
         if (!res.ok) throw new Error("Could not find definition info");
         const metadata = await res.json();
         
         container.innerHTML = ''; 
 
-        const sortedInputs = metadata.inputs.sort((a, b) => {
-            if (a.name === 'b64DXF') return -1;
-            if (b.name === 'b64DXF') return 1;
-            return 0;
-        });
+        // Inputs come in the order set by the definition's manifest. Without
+        // one, keep the DXF upload at the top.
+        const sortedInputs = metadata.inputs.some(p => p.order !== undefined)
+            ? metadata.inputs
+            : metadata.inputs.sort((a, b) => {
+                if (a.name === 'b64DXF') return -1;
+                if (b.name === 'b64DXF') return 1;
+                return 0;
+            });
+        outputs = metadata.outputs || [];
 
         // 1. Create controls and populate initial 'inputs' object
-        sortedInputs.forEach(param => createControl(param));
+        let group = null;
+        sortedInputs.forEach(param => {
+            if (param.group && param.group !== group) {
+                const heading = document.createElement('h4');
+                heading.className = 'control-heading';
+                heading.innerText = param.group;
+                container.appendChild(heading);
+            }
+            group = param.group;
+            createControl(param);
+        });
 
         // 2. Pre-load default DXF if this definition requires a DXF and we have a default
         if (inputs.hasOwnProperty('b64DXF') && !inputs['b64DXF'] && defaultDxfB64) {
@@ -239,19 +317,34 @@ async function triggerSolve() {
     document.getElementById('loader').style.display = 'block';
     downloadBtn.disabled = true;
     downloadBtn.innerText = "Calculating...";
+    showInputErrors([]);
 
     try {
         const requestData = {
             definition: currentDefinition,
+            units: units,
             inputs: inputs
         };
 
         const res = await fetch('/solve', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'X-Session-Id': sessionId },
             body: JSON.stringify(requestData)
         });
 
+        if (res.status === 422) {
+            // Validation failed, show the messages next to the controls
+            const body = await res.json();
+            showInputErrors(body.errors || []);
+            throw new Error(body.message);
+        }
+
+        if (res.status === 429) {
+            // Rate limited or out of quota, the server says when to try again
+            const body = await res.json();
+            throw new Error(`${body.message} (retry in ${res.headers.get('Retry-After')}s)`);
+        }
+
         if (!res.ok) {
             const errorText = await res.text(); 
             throw new Error(errorText);
@@ -279,6 +372,21 @@ async function triggerSolve() {
     }
 }
 
+// Show validation errors from /solve next to the matching controls
+// (an empty list clears them)
+function showInputErrors(errors) {
+    container.querySelectorAll('.input-error').forEach(el => el.remove());
+    errors.forEach(error => {
+        const wrapper = Array.from(container.querySelectorAll('.control-group'))
+            .find(el => el.dataset.param === error.name);
+        if (!wrapper) return;
+        const msg = document.createElement('div');
+        msg.className = 'input-error';
+        msg.innerText = error.message;
+        wrapper.appendChild(msg);
+    });
+}
+
 function curveToThree(rhinoCurve, material) {
     const points = [];
     const domain = rhinoCurve.domain;
@@ -295,6 +403,29 @@ function curveToThree(rhinoCurve, material) {
     return line;
 }
 
+// Returned values for the outputs with a role ('download', 'preview' or
+// 'log') as [{ output, value }]. Definitions whose manifest gives no roles
+// are read like the CNC profiler: gcode, two previews, then the log.
+function outputsWithRole(data, role) {
+    const strip = name => String(name).replace(/^RH_OUT:/, '');
+
+    if (outputs.some(o => o.role)) {
+        return outputs
+            .filter(o => o.role === role)
+            .map(o => ({ output: o, value: data.values.find(v => strip(v.ParamName) === o.name) }))
+            .filter(r => r.value);
+    }
+
+    const legacy = {
+        download: [{ index: 0, output: { filename: 'CNCJob.gcode', mimeType: 'text/plain' } }],
+        preview: [{ index: 1, output: { color: '#000000' } }, { index: 2, output: { color: '#ff0000' } }],
+        log: [{ index: 3, output: {} }]
+    };
+    return legacy[role]
+        .map(r => ({ output: r.output, value: data.values[r.index] }))
+        .filter(r => r.value);
+}
+
 function handleResponse(data) {
     const logBox = document.getElementById('log-content');
     
@@ -313,13 +444,16 @@ function handleResponse(data) {
         return;
     }
 
-    if (data.values[0] && data.values[0].InnerTree) {
-        const gcodeBranch = Object.values(data.values[0].InnerTree)[0];
+    const [download] = outputsWithRole(data, 'download');
+    if (download && download.value.InnerTree) {
+        const gcodeBranch = Object.values(download.value.InnerTree)[0];
         if (gcodeBranch && gcodeBranch.length > 0) {
             try {
                 gcodeResult = gcodeBranch.map(item => JSON.parse(item.data)).join('\n');
+                downloadBtn.dataset.filename = download.output.filename || 'CNCJob.gcode';
+                downloadBtn.dataset.mimeType = download.output.mimeType || 'text/plain';
                 downloadBtn.disabled = false;
-                downloadBtn.innerText = "Download GCode";
+                downloadBtn.innerText = `Download ${downloadBtn.dataset.filename}`;
                 const previewBox = document.getElementById('gcode-preview');
                 previewBox.style.display = 'block';
                 previewBox.innerText = gcodeResult;
@@ -333,12 +467,11 @@ function handleResponse(data) {
         toRemove.forEach(c => scene.remove(c));
     }
 
-    const processGeometry = (outputIndex, colorHex) => {
-        if (data.values.length <= outputIndex) return;
-        const tree = data.values[outputIndex].InnerTree;
+    const processGeometry = (value, color) => {
+        const tree = value.InnerTree;
         if (!tree) return;
 
-        const material = new THREE.LineBasicMaterial({ color: colorHex });
+        const material = new THREE.LineBasicMaterial({ color: color || '#000000' });
         
         Object.values(tree).forEach(branch => {
             branch.forEach(item => {
@@ -365,11 +498,11 @@ function handleResponse(data) {
         });
     };
 
-    processGeometry(1, 0x000000); 
-    processGeometry(2, 0xff0000); 
+    outputsWithRole(data, 'preview').forEach(r => processGeometry(r.value, r.output.color));
 
-    if (data.values.length > 3 && data.values[3].InnerTree) {
-        const logBranch = Object.values(data.values[3].InnerTree)[0];
+    const [log] = outputsWithRole(data, 'log');
+    if (log && log.value.InnerTree) {
+        const logBranch = Object.values(log.value.InnerTree)[0];
         if (logBranch && logBranch.length > 0) {
             const logLines = logBranch.map(item => {
                 try { return JSON.parse(item.data); } catch (e) { return item.data; }
@@ -386,16 +519,19 @@ function handleResponse(data) {
 function createControl(param) {
     const wrapper = document.createElement('div');
     wrapper.className = 'control-group';
+    wrapper.dataset.param = param.name;
     
-    if (param.name === 'b64DXF') {
+    const labelText = param.label || param.name;
+
+    if (param.accept || param.name === 'b64DXF') {
         const uploadWrapper = document.createElement('div');
         uploadWrapper.className = 'upload-btn-wrapper';
         const btn = document.createElement('div');
         btn.className = 'btn-upload';
-        btn.innerText = '📂 Upload DXF File';
+        btn.innerText = param.label ? `📂 Upload ${param.label}` : '📂 Upload DXF File';
         const fileInput = document.createElement('input');
         fileInput.type = 'file';
-        fileInput.accept = '.dxf';
+        fileInput.accept = param.accept || '.dxf';
         fileInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (!file) return;
@@ -416,7 +552,7 @@ function createControl(param) {
 
     } else if (param.paramType === 'Integer' || param.paramType === 'Number') {
         const label = document.createElement('label');
-        label.innerText = param.name; 
+        label.innerText = param.units ? `${labelText} (${param.units})` : labelText;
         wrapper.appendChild(label);
 
         const isInt = (param.paramType === 'Integer');
@@ -459,7 +595,7 @@ function createControl(param) {
             slider.type = 'range';
             slider.min = param.minimum;
             slider.max = param.maximum;
-            slider.step = isInt ? 1 : 0.001; 
+            slider.step = param.step || (isInt ? 1 : 0.001);
             slider.value = defaultValue;
 
             slider.addEventListener('input', (e) => {
@@ -479,7 +615,7 @@ function createControl(param) {
             activeDisplayEl = valDisplay;
             activeSliderEl = slider;
             
-            modalTitle.innerText = `Set ${param.name}`;
+            modalTitle.innerText = `Set ${labelText}`;
             modalInput.value = inputs[param.name]; // Load current
             modalInput.step = isInt ? 1 : 'any';
             
@@ -489,7 +625,7 @@ function createControl(param) {
 
     } else if (param.paramType === 'Boolean') {
         const label = document.createElement('label');
-        label.innerText = param.name;
+        label.innerText = labelText;
         wrapper.appendChild(label);
         const toggle = document.createElement('div');
         toggle.className = 'toggle';
@@ -509,7 +645,7 @@ function createControl(param) {
         wrapper.appendChild(toggle);
     } else {
         const label = document.createElement('label');
-        label.innerText = param.name;
+        label.innerText = labelText;
         wrapper.appendChild(label);
         const msg = document.createElement('div');
         msg.className = 'coming-soon';
@@ -521,10 +657,10 @@ function createControl(param) {
 
 downloadBtn.onclick = () => {
     if (!gcodeResult) return;
-    const blob = new Blob([gcodeResult], { type: 'text/plain' });
+    const blob = new Blob([gcodeResult], { type: downloadBtn.dataset.mimeType || 'text/plain' });
     const link = document.createElement('a');
     link.href = URL.createObjectURL(blob);
-    link.download = 'CNCJob.gcode';
+    link.download = downloadBtn.dataset.filename || 'CNCJob.gcode';
     link.click();
 };
 
@@ -539,7 +675,7 @@ function init3D() {
     const width = window.innerWidth - 300;
     const height = window.innerHeight;
     const aspect = width / height;
-    const viewSize = 110; 
+    const viewSize = 110 * UNITS[units].scale;
 
     camera = new THREE.OrthographicCamera(
         -viewSize * aspect / 2, 
@@ -547,7 +683,7 @@ function init3D() {
          viewSize / 2, 
         -viewSize / 2, 
         0.1, 
-        2000
+        2000 * UNITS[units].scale
     );
 
     camera.position.set(60, 100, 60); 
@@ -568,52 +704,69 @@ function init3D() {
         RIGHT: THREE.MOUSE.ROTATE
     };
     
+    buildWorkArea();
+
+    scene.add(new THREE.HemisphereLight(0xffffff, 0x444444));
+    const dirLight = new THREE.DirectionalLight(0xffffff, 0.5);
+    dirLight.position.set(50, 50, 0);
+    scene.add(dirLight);
+
+    window.addEventListener('resize', onWindowResize, false);
+    animate();
+}
+
+// Grid, sheet border and axes, drawn in the current units
+function buildWorkArea() {
+    const old = scene.getObjectByName('work_area');
+    if (old) scene.remove(old);
+
+    const { scale, gridStep } = UNITS[units];
+    const workArea = new THREE.Group();
+    workArea.name = 'work_area';
+
     const gridColor = 0x888888;
     const points = [];
-    for (let x = -6; x <= 54; x += 1) { points.push(new THREE.Vector3(x, 0, 6), new THREE.Vector3(x, 0, -102)); }
-    for (let z = 6; z >= -102; z -= 1) { points.push(new THREE.Vector3(-6, 0, z), new THREE.Vector3(54, 0, z)); }
+    const minX = -6 * scale, maxX = 54 * scale;
+    const minZ = -102 * scale, maxZ = 6 * scale;
+    for (let x = minX; x <= maxX; x += gridStep) { points.push(new THREE.Vector3(x, 0, maxZ), new THREE.Vector3(x, 0, minZ)); }
+    for (let z = maxZ; z >= minZ; z -= gridStep) { points.push(new THREE.Vector3(minX, 0, z), new THREE.Vector3(maxX, 0, z)); }
 
     const gridGeo = new THREE.BufferGeometry().setFromPoints(points);
     const gridMat = new THREE.LineBasicMaterial({ color: gridColor, opacity: 0.4, transparent: true });
-    scene.add(new THREE.LineSegments(gridGeo, gridMat));
+    workArea.add(new THREE.LineSegments(gridGeo, gridMat));
 
     // Thicker Work Area Border
     const rectPoints = [
         new THREE.Vector3(0, 0, 0),
-        new THREE.Vector3(48, 0, 0),
-        new THREE.Vector3(48, 0, -96),
-        new THREE.Vector3(0, 0, -96),
+        new THREE.Vector3(48 * scale, 0, 0),
+        new THREE.Vector3(48 * scale, 0, -96 * scale),
+        new THREE.Vector3(0, 0, -96 * scale),
         new THREE.Vector3(0, 0, 0)
     ];
     const borderGeo = new THREE.BufferGeometry().setFromPoints(rectPoints);
     const border = new THREE.Line(borderGeo, new THREE.LineBasicMaterial({ color: 0x2196F3, linewidth: 5 }));
-    border.position.y = 0.05;
-    scene.add(border);
+    border.position.y = 0.05 * scale;
+    workArea.add(border);
 
     const origin = new THREE.Vector3(0, 0, 0);
-    scene.add(new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), origin, 12, 0xff0000));
-    scene.add(new THREE.ArrowHelper(new THREE.Vector3(0, 0, -1), origin, 12, 0x00ff00));
-    scene.add(new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), origin, 12, 0x0000ff));
-
-    scene.add(new THREE.HemisphereLight(0xffffff, 0x444444));
-    const dirLight = new THREE.DirectionalLight(0xffffff, 0.5);
-    dirLight.position.set(50, 50, 0);
-    scene.add(dirLight);
+    workArea.add(new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), origin, 12 * scale, 0xff0000));
+    workArea.add(new THREE.ArrowHelper(new THREE.Vector3(0, 0, -1), origin, 12 * scale, 0x00ff00));
+    workArea.add(new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), origin, 12 * scale, 0x0000ff));
 
-    window.addEventListener('resize', onWindowResize, false);
-    animate();
+    scene.add(workArea);
 }
 
 function onWindowResize() {
     const width = window.innerWidth - 300; 
     const height = window.innerHeight;
     const aspect = width / height;
-    const viewSize = 110;
+    const viewSize = 110 * UNITS[units].scale;
 
     camera.left = -viewSize * aspect / 2;
     camera.right = viewSize * aspect / 2;
     camera.top = viewSize / 2;
     camera.bottom = -viewSize / 2;
+    camera.far = 2000 * UNITS[units].scale;
     
     camera.updateProjectionMatrix();
     renderer.setSize(width, height);
@@ -634,31 +787,32 @@ function decodeItem(item) {
 }
 
 function handleViewSnap(view) {
-    const dist = 500; 
-    const center = new THREE.Vector3(24, 0, -48); 
+    const scale = UNITS[units].scale;
+    const dist = 500 * scale; 
+    const center = new THREE.Vector3(24 * scale, 0, -48 * scale); 
     
     switch(view) {
         case 'top': 
-            camera.position.set(24, dist, -48); 
+            camera.position.set(center.x, dist, center.z); 
             break;
         case 'front': 
-            camera.position.set(24, 0, dist); 
+            camera.position.set(center.x, 0, dist); 
             break;
         case 'right': 
-            camera.position.set(dist, 0, -48); 
+            camera.position.set(dist, 0, center.z); 
             break;
         case 'left':
-            camera.position.set(-dist, 0, -48);
+            camera.position.set(-dist, 0, center.z);
             break;
         case 'back':
-            camera.position.set(24, 0, -dist);
+            camera.position.set(center.x, 0, -dist);
             break;
         case 'bottom':
-            camera.position.set(24, -dist, -48);
+            camera.position.set(center.x, -dist, center.z);
             break;
         case 'iso': 
         default: 
-            camera.position.set(100, 100, 100); 
+            camera.position.set(100 * scale, 100 * scale, 100 * scale); 
             break;
     }
     
@@ -22,6 +22,29 @@ function setStatus(id, state, msg, detail = '') {
     if (state === 'fail') log(`ERROR [${id}]: ${msg} - ${detail}`);
 }
 
+// --- LIVE UPDATES ---
+// The server pushes compute health and VM power state changes
+function subscribeEvents() {
+    const events = new EventSource('/events');
+
+    events.addEventListener('health', (e) => {
+        const health = JSON.parse(e.data);
+        if (health.healthy) {
+            setStatus('card-health', 'pass', 'Healthy', 'Live: compute reports healthy');
+        } else {
+            const down = health.backends.map(b => b.name).join(', ');
+            setStatus('card-health', 'fail', 'Unhealthy', `Live: no compute backend is healthy (${down})`);
+        }
+    });
+
+    events.addEventListener('power', (e) => {
+        const power = JSON.parse(e.data);
+        log(`Compute VM power state: ${power.state}${power.error ? ' - ' + power.error : ''}`);
+    });
+
+    events.onerror = () => log("Lost connection to /events, reconnecting...");
+}
+
 // --- MAIN TESTS ---
 
 async function runTests() {
@@ -35,8 +58,9 @@ async function runTests() {
         const latency = Date.now() - start;
         
         if (res.ok) {
-            const text = await res.text();
-            setStatus('card-health', 'pass', 'Healthy', `Response: "${text}"`);
+            const health = await res.json();
+            const up = health.backends.filter(b => b.healthy).map(b => b.name);
+            setStatus('card-health', 'pass', 'Healthy', `Backends up: ${up.join(', ')} (${up.length}/${health.backends.length})`);
             
             // --- 7. PING (Re-use latency) ---
             setStatus('card-ping', 'pass', `${latency} ms`, 'Roundtrip time');
@@ -115,39 +139,21 @@ async function testInterface(filename) {
     log(`Loading interface for: ${filename}`);
 
     try {
-        const res = await fetch(`/definition/${filename}/info`);
+        const res = await fetch(`/definition/${encodeURIComponent(filename)}/info`);
         if (!res.ok) throw new Error("Info endpoint failed");
         
         const info = await res.json();
         setStatus('card-interface', 'pass', 'Loaded', `Inputs: ${info.inputs.length}<br>Outputs: ${info.outputs.length}`);
 
         // VALIDATION CHECK
-        // Check for 'b64DXF'
-        const hasDXF = info.inputs.some(i => i.name === 'b64DXF');
-        const outputCount = info.outputs.length;
-        
-        let details = "";
-        let passed = true;
-
-        if (hasDXF) {
-            details += "✅ 'b64DXF' input found<br>";
-        } else {
-            details += "❌ Missing 'b64DXF' input<br>";
-            passed = false;
-        }
+        // The expectations come from the definition's manifest
+        const checks = info.validation ? info.validation.checks : [];
+        const details = checks.map(c => (c.passed ? '✅ ' : '❌ ') + c.message).join('<br>');
 
-        if (outputCount === 4) {
-            details += "✅ 4 outputs found";
-        } else {
-            details += `⚠️ Found ${outputCount} outputs (expected 4)`;
-            // Make this a warning (yellow) or fail depending on strictness
-            if(outputCount === 0) passed = false; 
-        }
-
-        if (passed && outputCount === 4) {
+        if (checks.length === 0) {
+            setStatus('card-validation', 'wait', 'No checks', 'Add validation expectations to the definition manifest');
+        } else if (info.validation.passed) {
             setStatus('card-validation', 'pass', 'Passed', details);
-        } else if (passed) {
-             setStatus('card-validation', 'wait', 'Warning', details);
         } else {
             setStatus('card-validation', 'fail', 'Failed', details);
         }
@@ -161,38 +167,30 @@ async function testInterface(filename) {
 document.getElementById('btn-load-interface').onclick = () => testInterface();
 document.getElementById('file-select').onchange = (e) => testInterface(e.target.value);
 
-// --- 5. HOPS SOLVE ---
-async function testSolve() {
-    setStatus('card-hops', 'wait', 'Testing Solve...');
-    log("Testing Hops Solve endpoint...");
+// --- 5. HOPS SIMULATION ---
+// The server replays hops_io.json and hops_solve.json against compute and
+// compares the results with the expected outputs stored next to them
+async function runHopsTest() {
+    setStatus('card-hops', 'wait', 'Replaying...');
+    log("Replaying Hops requests against compute...");
 
     try {
-        // 1. Fetch the test file
-        const resFile = await fetch('/pages/health/files/hops_solve.json');
-        if (!resFile.ok) throw new Error(`Failed to fetch test data: ${resFile.statusText}`);
-        const solveData = await resFile.json();
-
-        // 2. Send the data to the /solve endpoint
-        const resSolve = await fetch('/solve', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(solveData)
-        });
-
-        if (!resSolve.ok) {
-            const errorText = await resSolve.text();
-            throw new Error(`Solve request failed: ${resSolve.status} ${errorText}`);
-        }
-
-        const result = await resSolve.json();
-
-        // 3. Validate the response
-        if (result.values && result.values.length > 0) {
-            setStatus('card-hops', 'pass', 'Success', `Solve completed with ${result.values.length} output values.`);
+        const res = await fetch('/api/health/test-hops', { method: 'POST' });
+        if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+        const report = await res.json();
+
+        const details = report.steps.map(step => {
+            const checks = step.checks.map(c => (c.passed ? '✅ ' : '❌ ') + `${c.name}: ${c.message}`).join('<br>');
+            return `<b>${step.name}</b> (${step.duration} ms): ${step.message}` + (checks ? '<br>' + checks : '');
+        }).join('<br>');
+
+        if (report.status === 'pass') {
+            setStatus('card-hops', 'pass', 'Passed', details);
+        } else if (report.status === 'yellow') {
+            setStatus('card-hops', 'wait', 'Incomplete', details || report.message);
         } else {
-            throw new Error('Solve completed but returned no values.');
+            setStatus('card-hops', 'fail', 'Failed', details || report.message);
         }
-
     } catch (e) {
         setStatus('card-hops', 'fail', 'Error', e.message);
     }
@@ -205,16 +203,15 @@ async function testIo() {
 
     try {
         // 1. Fetch the test file
-        const resFile = await fetch('/pages/health/files/hops_io.json');
+        const resFile = await fetch('/health/files/hops_io.json');
         if (!resFile.ok) throw new Error(`Failed to fetch test data: ${resFile.statusText}`);
         const ioData = await resFile.json();
 
-        // 2. Send the data to the /io endpoint (assuming it exists)
-        // This requires an /io endpoint on the app server that forwards to Compute
+        // 2. Send the request body to the /io endpoint, which forwards it to compute
         const resIo = await fetch('/io', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(ioData)
+            body: JSON.stringify(ioData.Content)
         });
 
         if (!resIo.ok) {
@@ -236,8 +233,46 @@ async function testIo() {
     }
 }
 
+// --- 10. REGRESSION ---
+// Shows the latest results, the cases are run by the CLI or the admin route
+async function loadRegression() {
+    setStatus('card-regression', 'wait', 'Loading...');
+
+    try {
+        const res = await fetch('/regression');
+        if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+        const reports = Object.values(await res.json());
+
+        if (reports.length === 0) {
+            setStatus('card-regression', 'wait', 'Not Run', 'No regression results yet. Run <code>npm run regression</code>.');
+            return;
+        }
+
+        const details = reports.map(report => {
+            const c = report.counts;
+            const failures = report.cases
+                .filter(kase => kase.status === 'failed' || kase.status === 'error')
+                .map(kase => '❌ ' + `${kase.name}: ${kase.message || kase.failures.map(f => f.message).join('; ')}`)
+                .join('<br>');
+            return `<b>${report.definition}</b> (${new Date(report.time).toLocaleString()}): ` +
+                `${c.passed} passed, ${c.failed} failed, ${c.error} errors, ${c.skipped} skipped` +
+                (failures ? '<br>' + failures : '');
+        }).join('<br>');
+
+        if (reports.some(report => report.counts.failed > 0 || report.counts.error > 0)) {
+            setStatus('card-regression', 'fail', 'Failing', details);
+        } else {
+            setStatus('card-regression', 'pass', 'Passing', details);
+        }
+    } catch (e) {
+        setStatus('card-regression', 'fail', 'Error', e.message);
+    }
+}
+
 
 // Start on load
+subscribeEvents();
 runTests();
-testSolve();
-testIo();
\ No newline at end of file
+runHopsTest();
+testIo();
+loadRegression();
\ No newline at end of file
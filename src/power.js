@@ -0,0 +1,428 @@
+/**
+ * Power management for the compute VM
+ *
+ * The VM is started on demand (POST /wakeup) and stopped once the appserver
+ * has been idle for a while, so it only costs money while it is used.
+ *
+ * POWER_PROVIDER chooses what is started and stopped:
+ *  'azure' (default when AZURE_SUBSCRIPTION_ID, AZURE_RESOURCE_GROUP and
+ *          AZURE_VM_NAME are set)
+ *     an Azure VM. Stopping deallocates it, which stops billing
+ *  'none' (default otherwise)
+ *     compute isn't managed, it is always considered running
+ *  'fake'
+ *     a simulated VM that takes FAKE_VM_DELAY seconds (default 5) to start
+ *     or stop, for trying things out without a cloud subscription.
+ *     FAKE_VM_STATE sets its initial state (default 'deallocated')
+ *  path to a module
+ *     a custom provider exporting an object with async state(), start() and
+ *     stop() methods. state() returns 'running', 'starting', 'stopping',
+ *     'deallocating', 'deallocated', 'stopped' or 'unknown'
+ *
+ * Timing, in seconds:
+ *  POWER_IDLE_TIMEOUT (default 1800) stop after this long without activity
+ *  POWER_CHECK_INTERVAL (default 60) how often idleness is checked
+ *  POWER_START_GRACE (default 600) never stop this soon after a start, so a
+ *     VM that is still booting isn't stopped again
+ *
+ * Activity is any solve. Solves count as activity until they finish, so a
+ * long solve isn't cut off. The appserver starting counts as activity too,
+ * so the VM isn't stopped right after a deploy.
+ *
+ * Activity and power actions are shared by all workers and only one of
+ * them, the leader, runs the idle checker (see activity.js).
+ *
+ * POWER_SCHEDULE keeps the VM warm at some times and keeps it from being
+ * started at others (see schedule.js).
+ *
+ * With POWER_WAKE_ON_SOLVE=true a solve that finds the VM stopped starts it
+ * and waits until compute passes its healthcheck, at most
+ * POWER_WAKE_TIMEOUT seconds (default 300). Solves arriving meanwhile wait
+ * for the same start.
+ *
+ * Starts, stops, failures and idle shutdowns are written to the power log
+ * (see powerlog.js).
+ */
+const cluster = require('cluster')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const createError = require('http-errors')
+const events = require('./events')
+const compute = require('./compute')
+const activity = require('./activity')
+const powerlog = require('./powerlog')
+const { loadSchedule } = require('./schedule')
+
+const seconds = (name, fallback) => parseFloat(process.env[name] || fallback) * 1000
+
+const IDLE_TIMEOUT = seconds('POWER_IDLE_TIMEOUT', 1800)
+const CHECK_INTERVAL = seconds('POWER_CHECK_INTERVAL', 60)
+const START_GRACE = seconds('POWER_START_GRACE', 600)
+const WAKE_TIMEOUT = seconds('POWER_WAKE_TIMEOUT', 300)
+
+// how often the VM state is pushed to clients listening on /events
+const STATE_INTERVAL = 15 * 1000
+
+// how often compute's healthcheck is polled while a solve waits for it
+const WAKE_POLL_INTERVAL = 3 * 1000
+
+// how long a VM state is trusted before a solve asks the provider again
+const STATE_MAX_AGE = 10 * 1000
+
+// states the VM can be started from, it has to finish stopping first
+const STOPPED = ['stopped', 'deallocated']
+
+// a power action that takes longer than this doesn't block others anymore
+const ACTION_TIMEOUT = 5 * 60 * 1000
+
+// the leader stays leader for a few missed checks before another one takes over
+const LEADER_LEASE = 3 * CHECK_INTERVAL
+
+class AzureProvider {
+  constructor() {
+    // only loaded when used, the azure sdk is slow to load
+    const { ComputeManagementClient } = require('@azure/arm-compute')
+    const { DefaultAzureCredential } = require('@azure/identity')
+    this.name = 'azure'
+    this.group = process.env.AZURE_RESOURCE_GROUP
+    this.vm = process.env.AZURE_VM_NAME
+    this.client = new ComputeManagementClient(new DefaultAzureCredential(), process.env.AZURE_SUBSCRIPTION_ID)
+  }
+
+  async state() {
+    const instanceView = await this.client.virtualMachines.instanceView(this.group, this.vm)
+    const status = instanceView.statuses.find(s => s.code && s.code.startsWith('PowerState/'))
+    return status ? status.code.replace('PowerState/', '') : 'unknown'
+  }
+
+  async start() {
+    // don't wait for the VM to boot, clients follow /healthcheck or /events
+    await this.client.virtualMachines.beginStart(this.group, this.vm)
+  }
+
+  async stop() {
+    // deallocating stops billing, powering off doesn't
+    await this.client.virtualMachines.beginDeallocate(this.group, this.vm)
+  }
+}
+
+class NoProvider {
+  constructor() {
+    this.name = 'none'
+  }
+
+  async state() {
+    return 'running'
+  }
+
+  async start() {}
+
+  async stop() {}
+}
+
+class FakeProvider {
+  constructor() {
+    this.name = 'fake'
+    this.delay = seconds('FAKE_VM_DELAY', 5)
+    // the workers of a cluster share one fake VM
+    const appserver = cluster.isWorker ? process.ppid : process.pid
+    this.file = path.join(os.tmpdir(), `appserver-fake-vm-${appserver}.json`)
+  }
+
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'))
+    } catch (error) {
+      return { state: process.env.FAKE_VM_STATE || 'deallocated' }
+    }
+  }
+
+  async state() {
+    const vm = this.read()
+    return vm.until && Date.now() >= vm.until ? vm.after : vm.state
+  }
+
+  async transition(during, after) {
+    const vm = { state: during, after, until: Date.now() + this.delay }
+    fs.writeFileSync(this.file, JSON.stringify(vm))
+  }
+
+  async start() {
+    const state = await this.state()
+    // like azure, which doesn't start a VM that is being stopped
+    if (state === 'stopping' || state === 'deallocating')
+      throw new Error(`The VM can't be started while it is ${state}`)
+    if (state !== 'running') await this.transition('starting', 'running')
+  }
+
+  async stop() {
+    if (await this.state() !== 'deallocated') await this.transition('deallocating', 'deallocated')
+  }
+}
+
+function azureConfigured() {
+  return !!(process.env.AZURE_SUBSCRIPTION_ID && process.env.AZURE_RESOURCE_GROUP && process.env.AZURE_VM_NAME)
+}
+
+function createProvider() {
+  const name = process.env.POWER_PROVIDER || (azureConfigured() ? 'azure' : 'none')
+  switch (name) {
+  case 'azure':
+    if (!azureConfigured())
+      throw new Error('POWER_PROVIDER=azure needs AZURE_SUBSCRIPTION_ID, AZURE_RESOURCE_GROUP and AZURE_VM_NAME')
+    return new AzureProvider()
+  case 'none':
+    return new NoProvider()
+  case 'fake':
+    return new FakeProvider()
+  default: {
+    const provider = require(path.resolve(name))
+    provider.name = provider.name || path.basename(name)
+    return provider
+  }
+  }
+}
+
+const provider = createProvider()
+const store = activity.createStore()
+const owner = activity.processId()
+const schedule = loadSchedule()
+
+function wakeOnSolve() {
+  return process.env.POWER_WAKE_ON_SOLVE === 'true'
+}
+
+function isManaged() {
+  return provider.name !== 'none'
+}
+
+/**
+ * Record activity, which postpones the idle shutdown
+ */
+function touch() {
+  store.touch(Date.now()).catch(error => console.error('Unable to record activity:', error.message))
+}
+
+/**
+ * Record a solve that goes to compute, it counts as activity until the
+ * returned function is called
+ */
+function begin() {
+  const token = crypto.randomUUID()
+  const failed = error => console.error('Unable to record solve:', error.message)
+  store.begin(token, owner).catch(failed)
+  let ended = false
+  return () => {
+    if (ended) return
+    ended = true
+    store.touch(Date.now()).then(() => store.end(token)).catch(failed)
+  }
+}
+
+/**
+ * Run a power action unless another one is in progress in any worker
+ * @param {string} action 'start' or 'stop'
+ * @param {string} state the state the VM is in afterwards
+ * @param {string} trigger who or what asked for it (see powerlog.js)
+ * @returns {boolean} false if another action was in progress
+ */
+async function act(action, state, trigger) {
+  if (!await store.acquire(action, owner, ACTION_TIMEOUT)) return false
+  try {
+    await provider[action]()
+    events.publish('power', { state })
+    await powerlog.record(action, { trigger, provider: provider.name })
+    return true
+  } catch (error) {
+    events.publish('power', { state: 'error', error: error.message })
+    await powerlog.record('failed', { action, trigger, provider: provider.name, error: error.message })
+    throw error
+  } finally {
+    await store.release(owner)
+  }
+}
+
+/**
+ * Start the VM
+ * @param {string} trigger who or what asked for it, e.g. a client id (see
+ *   limits.js) or 'schedule'
+ * @returns {object} { started } started is false when an action was
+ *   already in progress
+ */
+async function wake(trigger) {
+  console.log(`Starting compute VM (${provider.name}) for ${trigger}...`)
+  const started = await act('start', 'starting', trigger)
+  // the idle timer starts over, so the VM isn't stopped right away
+  if (started) await store.started(Date.now())
+  else touch()
+  return { started }
+}
+
+/**
+ * Stop the VM if it has been idle for longer than the idle timeout and no
+ * solve is in flight
+ */
+async function checkIdle() {
+  try {
+    const shared = await store.get()
+    const now = Date.now()
+    if (shared.action || shared.inFlight > 0 || now - shared.lastActivity < IDLE_TIMEOUT || now - shared.lastStart < START_GRACE) return
+
+    if (await provider.state() !== 'running') return
+    const idle = Math.floor((now - shared.lastActivity) / 1000)
+    console.log(`Compute idle for ${Math.floor(idle / 60)} mins. Stopping VM...`)
+    await powerlog.record('idle', { trigger: 'idle', idleSeconds: idle, idleTimeout: IDLE_TIMEOUT / 1000 })
+    await act('stop', 'deallocating', 'idle')
+  } catch (error) {
+    console.error('Idle shutdown error:', error.message)
+  }
+}
+
+/**
+ * Start the VM when the schedule keeps it warm, otherwise stop it when idle
+ */
+async function check() {
+  const { warm, noStart } = schedule.at(new Date())
+  if (!warm) return checkIdle()
+
+  try {
+    const shared = await store.get()
+    if (noStart || shared.action) return
+    const state = await provider.state()
+    if (state !== 'running' && state !== 'starting') await wake('schedule')
+  } catch (error) {
+    console.error('Scheduled start error:', error.message)
+  }
+}
+
+/**
+ * Check the schedule and idleness every POWER_CHECK_INTERVAL, when this
+ * process is the leader, and push the VM state to clients listening on /events. Does
+ * nothing when compute isn't managed.
+ */
+function startIdleChecker() {
+  if (!isManaged()) return
+  let leading = false
+  setInterval(async () => {
+    try {
+      const leader = await store.lead(owner, LEADER_LEASE)
+      if (leader !== leading) console.log(leader ? 'Running the idle checker' : 'Another process runs the idle checker')
+      leading = leader
+    } catch (error) {
+      console.error('Idle checker leader election failed:', error.message)
+      leading = false
+    }
+    if (leading) await check()
+  }, CHECK_INTERVAL).unref()
+  events.watch('power', STATE_INTERVAL, async () => ({ state: await provider.state() }))
+}
+
+let knownState = { state: null, time: 0 }
+let waiting = null
+
+/**
+ * The VM state, asked at most every STATE_MAX_AGE so solves don't each
+ * call the provider
+ */
+async function recentState() {
+  if (Date.now() - knownState.time > STATE_MAX_AGE)
+    knownState = { state: await provider.state(), time: Date.now() }
+  return knownState.state
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Start the VM unless it is starting already and wait for it to run and for
+ * compute to pass its healthcheck. When another action, e.g. an idle stop,
+ * is in progress or the VM is still stopping, the VM is started once that
+ * is done.
+ */
+async function startAndWait(trigger) {
+  let started = false
+  const startIfStopped = async state => {
+    if (started || !STOPPED.includes(state)) return
+    if (schedule.at(new Date()).noStart)
+      throw createError(503, 'Compute is stopped and the schedule doesn\'t allow starting it now', { expose: true })
+    if ((await store.get()).action) return
+    started = (await wake(trigger)).started
+  }
+
+  const deadline = Date.now() + WAKE_TIMEOUT
+  while (Date.now() < deadline) {
+    const state = await provider.state()
+    await startIfStopped(state)
+    if (state === 'running' && (await compute.checkAll()).some(result => result.status === 200)) {
+      knownState = { state: 'running', time: Date.now() }
+      return
+    }
+    await sleep(WAKE_POLL_INTERVAL)
+  }
+  throw createError(503, `Compute didn't start within ${WAKE_TIMEOUT / 1000}s`, {
+    expose: true,
+    headers: { 'Retry-After': '30' }
+  })
+}
+
+/**
+ * With POWER_WAKE_ON_SOLVE, make sure compute is running before a solve.
+ * Starts the VM if it is stopped and waits for it, all solves of this
+ * worker wait for the same start.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] stops waiting
+ * @param {function} [options.onWait] called when the solve has to wait
+ * @param {string} [options.trigger] the client of the solve, for the log
+ */
+async function awaitCompute(options = {}) {
+  const { signal, onWait, trigger = 'solve' } = options
+  if (!wakeOnSolve() || !isManaged() || await recentState() === 'running') return
+
+  if (onWait) onWait()
+  if (!waiting) waiting = startAndWait(trigger).finally(() => { waiting = null })
+  await new Promise((resolve, reject) => {
+    const onAbort = () => reject(createError(499, 'Solve cancelled'))
+    if (signal) {
+      if (signal.aborted) return onAbort()
+      signal.addEventListener('abort', onAbort, { once: true })
+    }
+    waiting.then(resolve, reject).finally(() => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+    })
+  })
+}
+
+/**
+ * Power state, last activity and when the VM will be stopped
+ */
+async function status() {
+  let state
+  try {
+    state = await provider.state()
+  } catch (error) {
+    state = 'unknown'
+  }
+  const shared = await store.get()
+  const now = Date.now()
+  const shutdownAt = Math.max(shared.lastActivity + IDLE_TIMEOUT, shared.lastStart + START_GRACE)
+  const scheduled = schedule.at(new Date())
+  const stopping = isManaged() && state === 'running' && shared.inFlight === 0 && !scheduled.warm
+  return {
+    provider: provider.name,
+    state,
+    managed: isManaged(),
+    actionInProgress: !!shared.action,
+    inFlight: shared.inFlight,
+    leader: shared.leader,
+    lastActivity: new Date(shared.lastActivity).toISOString(),
+    idleTimeout: IDLE_TIMEOUT / 1000,
+    schedule: { rules: schedule.rules, warm: scheduled.warm, noStart: scheduled.noStart },
+    wakeOnSolve: wakeOnSolve(),
+    shutdownIn: stopping ? Math.max(0, Math.ceil((shutdownAt - now) / 1000)) : null
+  }
+}
+
+module.exports = { touch, begin, wake, awaitCompute, checkIdle, startIdleChecker, status, isManaged }
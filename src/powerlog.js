@@ -0,0 +1,136 @@
+/**
+ * Power event log (see power.js)
+ *
+ * Every start and stop of the compute VM, every failed power action and
+ * every idle shutdown decision is appended to POWER_LOG, a json lines file
+ * (default: logs/power.jsonl), with what triggered it:
+ *  'key:<name>' or 'ip:<address>'  a client, through /wakeup or a solve
+ *  'idle'                          the idle checker
+ *  'schedule'                      a warm rule of POWER_SCHEDULE
+ * POWER_LOG=off turns the log off.
+ *
+ * The history reports how long the VM ran per day (UTC) and what that cost
+ * at POWER_HOURLY_RATE (in POWER_CURRENCY, default 'USD'). The VM counts as
+ * running from a start until the next stop.
+ */
+const fs = require('fs')
+const path = require('path')
+
+const DAY = 24 * 60 * 60 * 1000
+
+function logFile() {
+  const file = process.env.POWER_LOG || path.join(__dirname, '../logs/power.jsonl')
+  return file === 'off' ? null : file
+}
+
+/**
+ * Append an event to the log. Never throws, the log isn't worth failing a
+ * power action for.
+ * @param {string} event 'start', 'stop', 'failed' or 'idle'
+ * @param {object} data at least the trigger, e.g. { trigger: 'idle' }
+ */
+async function record(event, data) {
+  const file = logFile()
+  if (!file) return
+  const line = JSON.stringify(Object.assign({ time: new Date().toISOString(), event }, data))
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true })
+    // appends of a single line don't interleave, so workers can share the file
+    await fs.promises.appendFile(file, line + '\n')
+  } catch (error) {
+    console.error(`Unable to write to the power log ${file}: ${error.message}`)
+  }
+}
+
+/**
+ * All logged events, oldest first. Lines that can't be parsed are skipped.
+ */
+async function readEvents() {
+  const file = logFile()
+  if (!file) return []
+  let text
+  try {
+    text = await fs.promises.readFile(file, 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+  const events = []
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      events.push(JSON.parse(line))
+    } catch (error) {
+      // a line cut off by a crash
+    }
+  }
+  return events.sort((a, b) => Date.parse(a.time) - Date.parse(b.time))
+}
+
+/**
+ * The periods the VM ran, as [from, to] in ms
+ */
+function runningPeriods(events, now) {
+  const periods = []
+  let since = null
+  for (const event of events) {
+    const time = Date.parse(event.time)
+    if (event.event === 'start' && since === null) {
+      since = time
+    } else if (event.event === 'stop' && since !== null) {
+      periods.push([since, time])
+      since = null
+    }
+  }
+  if (since !== null) periods.push([since, now])
+  return periods
+}
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits
+
+/**
+ * Uptime and cost per day for the last few days, and the events of those
+ * days
+ * @param {number} days how many days, today included
+ */
+async function history(days) {
+  const events = await readEvents()
+  const now = Date.now()
+  const today = new Date(now)
+  const first = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()) - (days - 1) * DAY
+  const rate = process.env.POWER_HOURLY_RATE ? parseFloat(process.env.POWER_HOURLY_RATE) : null
+  const periods = runningPeriods(events, now)
+
+  const summary = []
+  for (let day = first; day <= now; day += DAY) {
+    const end = day + DAY
+    const ran = periods.reduce((total, [from, to]) => total + Math.max(0, Math.min(to, end) - Math.max(from, day)), 0)
+    const ofDay = events.filter(e => Date.parse(e.time) >= day && Date.parse(e.time) < end)
+    const count = type => ofDay.filter(e => e.event === type).length
+    summary.push({
+      date: new Date(day).toISOString().slice(0, 10),
+      uptimeHours: round(ran / (60 * 60 * 1000)),
+      cost: rate === null ? null : round(ran / (60 * 60 * 1000) * rate),
+      starts: count('start'),
+      stops: count('stop'),
+      failures: count('failed')
+    })
+  }
+
+  const total = key => summary.reduce((sum, day) => sum + day[key], 0)
+  return {
+    hourlyRate: rate,
+    currency: process.env.POWER_CURRENCY || 'USD',
+    days: summary,
+    total: {
+      uptimeHours: round(total('uptimeHours')),
+      cost: rate === null ? null : round(total('cost')),
+      starts: total('starts'),
+      stops: total('stops'),
+      failures: total('failures')
+    },
+    events: events.filter(e => Date.parse(e.time) >= first)
+  }
+}
+
+module.exports = { record, history }
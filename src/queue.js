@@ -0,0 +1,91 @@
+/**
+ * Bounded concurrency queue in front of compute
+ *
+ * Every solve goes through this queue so that many users can't overload a
+ * single compute server. SOLVE_CONCURRENCY sets how many solves a worker
+ * sends to compute at the same time (default 2). Solves over the limit wait
+ * in line until a slot frees up.
+ */
+const createError = require('http-errors')
+
+class SolveQueue {
+  constructor(concurrency) {
+    this.concurrency = concurrency
+    this.running = 0
+    this.waiting = []
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {function} task async function that is passed an AbortSignal
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] aborts the task, or removes it from
+   *   the queue if it hasn't started yet
+   * @param {function} [options.onPosition] called with the task's place in
+   *   line (1 is next) whenever it changes while the task waits
+   * @returns {Promise} resolves with the result of the task
+   */
+  run(task, options = {}) {
+    const { signal, onPosition } = options
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted)
+        return reject(createError(499, 'Solve cancelled'))
+
+      const entry = { task, signal, onPosition, resolve, reject }
+
+      if (signal) {
+        entry.onAbort = () => {
+          const index = this.waiting.indexOf(entry)
+          if (index > -1) {
+            this.waiting.splice(index, 1)
+            reject(createError(499, 'Solve cancelled'))
+            this.notify(index)
+          }
+        }
+        signal.addEventListener('abort', entry.onAbort)
+      }
+
+      this.waiting.push(entry)
+      this.next()
+      if (onPosition && this.waiting.includes(entry))
+        onPosition(this.waiting.length)
+    })
+  }
+
+  /**
+   * Tell waiting tasks from `index` on about their place in line
+   */
+  notify(index) {
+    this.waiting.slice(index).forEach((entry, i) => {
+      if (entry.onPosition) entry.onPosition(index + i + 1)
+    })
+  }
+
+  /**
+   * Position of a waiting task (1 is next in line), 0 if it is running or
+   * not in the queue
+   */
+  position(signal) {
+    return this.waiting.findIndex(entry => entry.signal === signal) + 1
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.waiting.length > 0) {
+      const entry = this.waiting.shift()
+      this.notify(0)
+      this.running++
+      Promise.resolve()
+        .then(() => entry.task(entry.signal))
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort)
+          this.running--
+          this.next()
+        })
+    }
+  }
+}
+
+const queue = new SolveQueue(parseInt(process.env.SOLVE_CONCURRENCY || '2', 10))
+
+module.exports = queue
@@ -0,0 +1,389 @@
+/**
+ * Golden output regression cases for definitions
+ *
+ * Cases for a definition are stored next to it, e.g. cncProfiler-v0.8.cases.json
+ * for cncProfiler-v0.8.gh, or in REGRESSION_CASES_DIR when it is set:
+ *   {
+ *     "tolerance": 0.0001,
+ *     "text": { "ignoreWhitespace": true, "ignoreLines": ["^\\(Generated"] },
+ *     "cases": [{
+ *       "name": "sample drawing",
+ *       "inputs": { "b64DXF": { "$file": "sample.dxf", "encoding": "base64" }, "Tool Diameter": 0.5 },
+ *       "settings": { "units": "Inches" },
+ *       "outputs": { "GCode": { "tree": { "{0}": ["G0 X0 Y0 ..."] } } }
+ *     }]
+ *   }
+ * Inputs are what /solve takes, `{ "$file": ... }` reads a file relative to
+ * the cases file (encoding 'base64' or 'utf8'). `settings` are the model
+ * settings (see units.js).
+ *
+ * Outputs are the expected values per output name (without RH_OUT:), as a
+ * tree of parsed values. Numbers, also numbers in text, may differ by
+ * `tolerance` (default 0). Text is compared line by line, lines matching one
+ * of `ignoreLines` are skipped and `ignoreWhitespace` ignores indentation and
+ * blank lines. Every output can override `tolerance`, `ignoreLines` and
+ * `ignoreWhitespace`, or be skipped with `"ignore": true`. Geometry (encoded
+ * by rhino3dm) is decoded and compared by its type, bounding box and control
+ * points or face counts, so the archive version doesn't matter.
+ *
+ * Cases are solved like /solve does, but always on compute. Running with
+ * `update` records the current results as the expected outputs.
+ *
+ * The latest results are kept in REGRESSION_RESULTS (default
+ * logs/regression.json) for the health page.
+ */
+const fs = require('fs')
+const path = require('path')
+const { getDefinitionParams } = require('./definitions')
+const { modelSettings } = require('./units')
+const { prepareInputs, solveDefinition } = require('./routes/solve')
+const { isEncodedGeometry } = require('./inputs')
+
+const CASES_EXTENSION = '.cases.json'
+
+const NUMBER = /-?\d+(\.\d+)?(e[-+]?\d+)?/gi
+
+function resultsFile() {
+  return process.env.REGRESSION_RESULTS || path.join(__dirname, '../logs/regression.json')
+}
+
+/**
+ * The cases file of a definition
+ */
+function casesFile(definition) {
+  if (process.env.REGRESSION_CASES_DIR)
+    return path.join(process.env.REGRESSION_CASES_DIR, definition.name.replace(/\.ghx?$/, CASES_EXTENSION))
+  return definition.path.replace(/\.ghx?$/, CASES_EXTENSION)
+}
+
+function hasCases(definition) {
+  return fs.existsSync(casesFile(definition))
+}
+
+/**
+ * Replace `{ "$file": ... }` inputs with the file contents
+ */
+function resolveInputs(inputs, dir) {
+  const resolved = {}
+  for (const [name, value] of Object.entries(inputs || {})) {
+    if (value && typeof value === 'object' && value.$file) {
+      const buffer = fs.readFileSync(path.resolve(dir, value.$file))
+      resolved[name] = buffer.toString(value.encoding === 'base64' ? 'base64' : 'utf8')
+    } else {
+      resolved[name] = value
+    }
+  }
+  return resolved
+}
+
+/**
+ * Compute's result as { name: tree of parsed values }
+ */
+function outputsOf(result) {
+  const outputs = {}
+  for (const value of result.values || []) {
+    const tree = {}
+    for (const [branch, items] of Object.entries(value.InnerTree || {})) {
+      tree[branch] = items.map(item => {
+        try {
+          return JSON.parse(item.data)
+        } catch (error) {
+          return item.data
+        }
+      })
+    }
+    outputs[String(value.ParamName).replace(/^RH_OUT:/, '')] = tree
+  }
+  return outputs
+}
+
+let rhino = null
+
+/**
+ * What decoded geometry describes, to compare it apart from its archive
+ */
+function describeGeometry(value) {
+  const geometry = rhino.CommonObject.decode(value)
+  if (!geometry) return { data: value.data }
+  const box = geometry.getBoundingBox()
+  const description = { type: geometry.constructor.name, boundingBox: box.min.concat(box.max) }
+  if (geometry.toNurbsCurve) {
+    const points = geometry.toNurbsCurve().points()
+    description.closed = geometry.isClosed
+    description.points = Array.from({ length: points.count }, (_, i) => points.get(i))
+  } else if (geometry instanceof rhino.Mesh) {
+    description.vertices = geometry.vertices().count
+    description.faces = geometry.faces().count
+  } else if (geometry instanceof rhino.Brep) {
+    description.faces = geometry.faces().count
+    description.edges = geometry.edges().count
+  }
+  return description
+}
+
+/**
+ * Replace the geometry in output trees with what it describes
+ */
+async function decodeGeometry(value) {
+  if (isEncodedGeometry(value)) {
+    if (!rhino) rhino = await require('rhino3dm')()
+    return describeGeometry(value)
+  }
+  if (Array.isArray(value)) return Promise.all(value.map(decodeGeometry))
+  if (value && typeof value === 'object') {
+    const decoded = {}
+    for (const [key, item] of Object.entries(value)) decoded[key] = await decodeGeometry(item)
+    return decoded
+  }
+  return value
+}
+
+function numbersMatch(expected, actual, tolerance) {
+  return Math.abs(expected - actual) <= tolerance
+}
+
+function textLines(text, rules) {
+  const ignore = (rules.ignoreLines || []).map(pattern => new RegExp(pattern))
+  return String(text)
+    .split(/\r?\n/)
+    .map((line, i) => ({ number: i + 1, text: rules.ignoreWhitespace ? line.trim().replace(/\s+/g, ' ') : line }))
+    .filter(line => !(rules.ignoreWhitespace && line.text === ''))
+    .filter(line => !ignore.some(pattern => pattern.test(line.text)))
+}
+
+/**
+ * Whether two lines are the same, apart from numbers within the tolerance
+ */
+function linesMatch(expected, actual, tolerance) {
+  if (expected === actual) return true
+  if (!tolerance) return false
+  if (expected.replace(NUMBER, '#') !== actual.replace(NUMBER, '#')) return false
+  const expectedNumbers = expected.match(NUMBER) || []
+  const actualNumbers = actual.match(NUMBER) || []
+  return expectedNumbers.every((number, i) => numbersMatch(Number(number), Number(actualNumbers[i]), tolerance))
+}
+
+/**
+ * Compare text line by line
+ * @returns {string} what differs, or null
+ */
+function diffText(expected, actual, rules) {
+  const expectedLines = textLines(expected, rules)
+  const actualLines = textLines(actual, rules)
+  let differing = 0
+  let first = null
+  for (let i = 0; i < Math.max(expectedLines.length, actualLines.length); i++) {
+    const e = expectedLines[i]
+    const a = actualLines[i]
+    if (e && a && linesMatch(e.text, a.text, rules.tolerance)) continue
+    differing++
+    if (!first)
+      first = `line ${(a || e).number}: expected ${e ? JSON.stringify(e.text) : 'nothing'}, got ${a ? JSON.stringify(a.text) : 'nothing'}`
+  }
+  if (!differing) return null
+  return `${first}${differing > 1 ? ` (${differing} lines differ)` : ''}`
+}
+
+/**
+ * Compare an expected value with the actual one
+ * @returns {string} the first difference, or null
+ */
+function diff(expected, actual, rules, where) {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    return numbersMatch(expected, actual, rules.tolerance) ? null
+      : `${where}: expected ${expected}, got ${actual} (tolerance ${rules.tolerance})`
+  }
+  if (typeof expected === 'string' && typeof actual === 'string') {
+    const difference = diffText(expected, actual, rules)
+    return difference && `${where} ${difference}`
+  }
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    if (expected.length !== actual.length)
+      return `${where}: expected ${expected.length} values, got ${actual.length}`
+    for (let i = 0; i < expected.length; i++) {
+      const difference = diff(expected[i], actual[i], rules, `${where}[${i}]`)
+      if (difference) return difference
+    }
+    return null
+  }
+  if (expected && actual && typeof expected === 'object' && typeof actual === 'object') {
+    const keys = new Set(Object.keys(expected).concat(Object.keys(actual)))
+    for (const key of keys) {
+      if (!(key in actual)) return `${where}.${key}: missing`
+      if (!(key in expected)) return `${where}.${key}: not expected`
+      const difference = diff(expected[key], actual[key], rules, `${where}.${key}`)
+      if (difference) return difference
+    }
+    return null
+  }
+  return expected === actual ? null : `${where}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+}
+
+/**
+ * Compare the expected outputs of a case with the actual ones
+ * @returns {object[]} { output, message } for every output that differs
+ */
+async function compareOutputs(expectedOutputs, actualOutputs, defaults) {
+  const failures = []
+  for (const [name, expected] of Object.entries(expectedOutputs)) {
+    if (expected.ignore) continue
+    if (!(name in actualOutputs)) {
+      failures.push({ output: name, message: 'Output missing' })
+      continue
+    }
+    const rules = {
+      tolerance: expected.tolerance !== undefined ? expected.tolerance : defaults.tolerance,
+      ignoreLines: expected.ignoreLines || defaults.ignoreLines,
+      ignoreWhitespace: expected.ignoreWhitespace !== undefined ? expected.ignoreWhitespace : defaults.ignoreWhitespace
+    }
+    const difference = diff(await decodeGeometry(expected.tree), await decodeGeometry(actualOutputs[name]), rules, name)
+    if (difference) failures.push({ output: name, message: difference })
+  }
+  return failures
+}
+
+/**
+ * Expected outputs from actual ones, keeping the rules of the old ones
+ */
+function recordOutputs(previous, actualOutputs) {
+  const outputs = {}
+  for (const [name, tree] of Object.entries(actualOutputs)) {
+    const rules = Object.assign({}, (previous || {})[name])
+    delete rules.tree
+    outputs[name] = rules.ignore ? rules : Object.assign(rules, { tree })
+  }
+  return outputs
+}
+
+/**
+ * Run the cases of a definition
+ * @param {object} definition a registered definition with cases
+ * @param {object} [options]
+ * @param {boolean} [options.update] record the results as expected outputs
+ * @returns {object} a report: { definition, file, time, duration, counts, cases }
+ */
+async function runDefinition(definition, options = {}) {
+  const file = casesFile(definition)
+  const suite = JSON.parse(fs.readFileSync(file, 'utf8'))
+  const defaults = Object.assign({ tolerance: suite.tolerance || 0 }, suite.text)
+  const started = Date.now()
+  await getDefinitionParams(definition)
+
+  const cases = []
+  for (const testCase of suite.cases || []) {
+    const start = Date.now()
+    const report = { name: testCase.name || `case ${cases.length + 1}` }
+    try {
+      const inputs = resolveInputs(testCase.inputs, path.dirname(file))
+      const checked = await prepareInputs(definition, inputs)
+      const settings = modelSettings(definition, testCase.settings || {})
+      const solved = await solveDefinition(definition, checked, { settings, cache: false })
+      const actual = outputsOf(solved.result)
+
+      if (options.update) {
+        testCase.outputs = recordOutputs(testCase.outputs, actual)
+        report.status = 'updated'
+      } else if (!testCase.outputs) {
+        report.status = 'skipped'
+        report.message = 'No expected outputs yet, run with update to record them'
+      } else {
+        report.failures = await compareOutputs(testCase.outputs, actual, defaults)
+        report.status = report.failures.length ? 'failed' : 'passed'
+      }
+    } catch (error) {
+      report.status = 'error'
+      // e.g. which inputs are invalid
+      const details = ((error.details || {}).errors || []).map(e => e.message)
+      report.message = details.length ? `${error.message}: ${details.join(', ')}` : error.message
+    }
+    report.duration = Date.now() - start
+    cases.push(report)
+  }
+
+  if (options.update)
+    fs.writeFileSync(file, JSON.stringify(suite, null, 2) + '\n')
+
+  const counts = {}
+  for (const status of ['passed', 'failed', 'error', 'skipped', 'updated'])
+    counts[status] = cases.filter(c => c.status === status).length
+  return {
+    definition: definition.name,
+    file: path.basename(file),
+    time: new Date(started).toISOString(),
+    duration: Date.now() - started,
+    counts,
+    cases
+  }
+}
+
+/**
+ * Run the cases of several definitions, one after the other, and keep the
+ * reports as the latest results
+ * @param {object[]} definitions registered definitions, those without cases
+ *   are skipped
+ * @param {object} [options] see runDefinition
+ * @returns {object[]} one report per definition
+ */
+async function run(definitions, options = {}) {
+  const reports = []
+  for (const definition of definitions.filter(hasCases))
+    reports.push(await runDefinition(definition, options))
+  saveResults(reports)
+  return reports
+}
+
+/**
+ * The latest report of every definition
+ */
+function latestResults() {
+  try {
+    return JSON.parse(fs.readFileSync(resultsFile(), 'utf8'))
+  } catch (error) {
+    return {}
+  }
+}
+
+function saveResults(reports) {
+  const file = resultsFile()
+  try {
+    const latest = latestResults()
+    reports.forEach(report => { latest[report.definition] = report })
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, JSON.stringify(latest, null, 2))
+  } catch (error) {
+    console.error(`Unable to save regression results to ${file}: ${error.message}`)
+  }
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;' })[c])
+}
+
+/**
+ * Reports as JUnit XML, one test suite per definition
+ */
+function toJUnit(reports) {
+  const seconds = ms => (ms / 1000).toFixed(3)
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<testsuites>']
+  for (const report of reports) {
+    lines.push(`  <testsuite name="${escapeXml(report.definition)}" tests="${report.cases.length}" failures="${report.counts.failed}" errors="${report.counts.error}" skipped="${report.counts.skipped}" time="${seconds(report.duration)}" timestamp="${report.time}">`)
+    for (const c of report.cases) {
+      const open = `    <testcase classname="${escapeXml(report.definition)}" name="${escapeXml(c.name)}" time="${seconds(c.duration)}"`
+      if (c.status === 'failed') {
+        const message = c.failures.map(f => f.message).join('\n')
+        lines.push(`${open}>`, `      <failure message="${escapeXml(c.failures[0].message)}">${escapeXml(message)}</failure>`, '    </testcase>')
+      } else if (c.status === 'error') {
+        lines.push(`${open}>`, `      <error message="${escapeXml(c.message)}"/>`, '    </testcase>')
+      } else if (c.status === 'skipped') {
+        lines.push(`${open}>`, `      <skipped message="${escapeXml(c.message)}"/>`, '    </testcase>')
+      } else {
+        lines.push(`${open}/>`)
+      }
+    }
+    lines.push('  </testsuite>')
+  }
+  lines.push('</testsuites>')
+  return lines.join('\n') + '\n'
+}
+
+module.exports = { run, runDefinition, hasCases, latestResults, toJUnit }
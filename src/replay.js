@@ -0,0 +1,165 @@
+/**
+ * Replay captured Hops requests against compute (see /api/health/test-hops)
+ *
+ * The fixtures are requests Hops sent to compute, saved as
+ * { "URL": ..., "Content": <request body> }: hops_io.json for /io and
+ * hops_solve.json for /grasshopper. The URL they were captured from is
+ * ignored, requests go to one of the configured compute backends. /io goes
+ * first, it sends the definition (algo) that the solve only points to, so
+ * both go to the same backend.
+ *
+ * Expected results are stored next to a fixture, e.g. hops_io.expected.json:
+ *  { "inputs": ["b64DXF"], "outputs": ["GCode", "Log"] }
+ * the names the /io result has to include, and hops_solve.expected.json:
+ *  { "outputs": { "GCode": { "minItems": 1, "type": "System.String" } } }
+ * the outputs the solve has to return, with at least `minItems` values of
+ * `type` (both optional). Names are compared without the RH_IN:/RH_OUT:
+ * prefixes.
+ */
+const fs = require('fs')
+const path = require('path')
+const compute = require('./compute')
+const backends = require('./backends')
+
+const STEPS = [
+  { name: 'io', fixture: 'hops_io.json', endpoint: 'io' },
+  { name: 'solve', fixture: 'hops_solve.json', endpoint: 'grasshopper' }
+]
+
+const stripPrefix = name => String(name).replace(/^RH_(IN|OUT):/, '')
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+function expectedFile(fixture) {
+  return fixture.replace(/\.json$/, '.expected.json')
+}
+
+/**
+ * Check an /io result against the expected input and output names
+ */
+function checkIo(result, expected) {
+  const names = list => (list || []).map(param => stripPrefix(param.Name || param.name))
+  const inputs = names(result.Inputs || result.inputs)
+  const outputs = names(result.Outputs || result.outputs)
+
+  const checks = []
+  const missing = (expected.inputs || []).filter(name => !inputs.includes(name))
+  if (expected.inputs) {
+    checks.push({
+      name: 'inputs',
+      passed: missing.length === 0,
+      message: missing.length === 0 ? `All ${expected.inputs.length} inputs found` : `Missing inputs: ${missing.join(', ')}`
+    })
+  }
+  for (const name of expected.outputs || []) {
+    const found = outputs.includes(name)
+    checks.push({ name, passed: found, message: found ? 'Output found' : 'Output missing' })
+  }
+  return checks
+}
+
+/**
+ * Check a /grasshopper result against the expected outputs
+ */
+function checkSolve(result, expected) {
+  const checks = []
+  const errors = result.errors || []
+  checks.push({
+    name: 'errors',
+    passed: errors.length === 0,
+    message: errors.length === 0 ? 'No errors' : errors.join('; ')
+  })
+
+  for (const [name, expect] of Object.entries(expected.outputs || {})) {
+    const output = (result.values || []).find(value => stripPrefix(value.ParamName) === name)
+    if (!output) {
+      checks.push({ name, passed: false, message: 'Output missing' })
+      continue
+    }
+    const items = [].concat(...Object.values(output.InnerTree || {}))
+    const wrongType = expect.type ? items.filter(item => item.type !== expect.type) : []
+    const failures = []
+    if (expect.minItems !== undefined && items.length < expect.minItems)
+      failures.push(`${items.length} values, expected at least ${expect.minItems}`)
+    if (wrongType.length > 0)
+      failures.push(`${wrongType.length} values aren't ${expect.type} (${wrongType[0].type})`)
+    checks.push({
+      name,
+      passed: failures.length === 0,
+      message: failures.length === 0 ? `${items.length} values` : failures.join(', ')
+    })
+  }
+  return checks
+}
+
+/**
+ * Send one fixture to compute and check the result
+ */
+async function runStep(dir, step, backend) {
+  const file = path.join(dir, step.fixture)
+  const fixture = readJson(file)
+  const body = fixture.Content || fixture.content
+  if (!body) throw new Error(`${step.fixture} has no Content`)
+  const expected = fs.existsSync(expectedFile(file)) ? readJson(expectedFile(file)) : null
+
+  const start = Date.now()
+  let result
+  try {
+    const timeout = step.endpoint === 'grasshopper' ? compute.SOLVE_TIMEOUT : undefined
+    result = await compute.post(step.endpoint, body, { timeout, backend })
+  } catch (error) {
+    return { name: step.name, status: 'fail', duration: Date.now() - start, message: error.message, checks: [] }
+  }
+  const duration = Date.now() - start
+
+  if (!expected)
+    return { name: step.name, status: 'yellow', duration, message: `No ${path.basename(expectedFile(file))} to compare with`, checks: [] }
+  const checks = step.name === 'io' ? checkIo(result, expected) : checkSolve(result, expected)
+  const failed = checks.filter(check => !check.passed)
+  return {
+    name: step.name,
+    status: failed.length === 0 ? 'pass' : 'fail',
+    duration,
+    message: failed.length === 0 ? `${checks.length} checks passed` : `${failed.length} of ${checks.length} checks failed`,
+    checks
+  }
+}
+
+/**
+ * Replay the fixtures in a directory, in order
+ * @returns {object} { status, message, backend, steps } status is 'pass',
+ *   'fail' or 'yellow' when fixtures or expected results are missing
+ */
+async function replayFixtures(dir) {
+  const missing = STEPS.filter(step => !fs.existsSync(path.join(dir, step.fixture)))
+  if (missing.length > 0) {
+    return {
+      status: 'yellow',
+      message: `Simulation files not found in ${dir}: ${missing.map(step => step.fixture).join(', ')}`,
+      steps: []
+    }
+  }
+
+  const backend = backends.select()
+  const steps = []
+  for (const step of STEPS) {
+    try {
+      steps.push(await runStep(dir, step, backend))
+    } catch (error) {
+      steps.push({ name: step.name, status: 'fail', duration: 0, message: `Unable to read ${step.fixture}: ${error.message}`, checks: [] })
+    }
+  }
+
+  const status = steps.some(step => step.status === 'fail') ? 'fail'
+    : steps.some(step => step.status === 'yellow') ? 'yellow' : 'pass'
+  return {
+    status,
+    message: steps.map(step => `${step.name}: ${step.message} (${step.duration} ms)`).join(', '),
+    backend: backend.name,
+    steps
+  }
+}
+
+module.exports = { replayFixtures }
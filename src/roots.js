@@ -0,0 +1,36 @@
+/**
+ * Directories definitions are loaded from
+ *
+ * The files directory comes first, followed by the directories listed in
+ * DEFINITION_ROOTS (comma separated). Every root is scanned recursively and
+ * its folders become namespaces: 'cnc/profiler.gh' is 'profiler.gh' in the
+ * 'cnc' folder of one of the roots. When two roots have a definition with
+ * the same name, the one in the first root is used.
+ *
+ * Folders starting with a dot (like .versions) are skipped.
+ */
+const path = require('path')
+
+const FILES_DIR = path.join(__dirname, 'files/')
+
+/**
+ * All definition roots, as absolute paths ending with a separator
+ */
+function definitionRoots() {
+  const extra = (process.env.DEFINITION_ROOTS || '')
+    .split(',')
+    .map(dir => dir.trim())
+    .filter(Boolean)
+    .map(dir => path.join(path.resolve(dir), path.sep))
+  return [FILES_DIR].concat(extra.filter(dir => dir !== FILES_DIR))
+}
+
+/**
+ * Whether a path relative to a root is in a skipped (dot) folder or is a
+ * dot file
+ */
+function isHidden(relativePath) {
+  return relativePath.split(/[\\/]/).some(segment => segment.startsWith('.'))
+}
+
+module.exports = { FILES_DIR, definitionRoots, isHidden }
@@ -1,12 +1,18 @@
 const express = require('express')
 let router = express.Router()
+const createError = require('http-errors')
 const definitions = require('../definitions') // Import the definitions module
+const { modelSettings } = require('../units')
+const { applyManifest } = require('../manifest')
+const adhoc = require('../adhoc')
+const { requireScope, checkDefinitionAccess, verifyDefinitionSignature } = require('../auth')
+const { rateLimit } = require('../limits')
 
 /**
  * Get a grasshopper definition file
- * During a solve, the appserver sends definitions to compute as URLs that
- * point back at the appserver itself. These urls are only meant to be
- * consumed by compute.
+ * With DEFINITION_TRANSFER=url (see compute.js), the appserver sends
+ * definitions to compute as URLs that point back at the appserver itself.
+ * These urls are only meant to be consumed by compute.
  *
  * The urls are intentionally not easily discoverable. A md5 hash is computed
  * for every definition in the files directory and that hash is used for the
@@ -16,21 +22,54 @@ const definitions = require('../definitions') // Import the definitions module
  * Using a hash keeps the urls hard to find and also the same until a
  * definition is modified. 
  */
-router.get('/:name/info', async function(req, res, next) {
+router.get('/:name/info', requireScope('definitions:read'), rateLimit('info'), async function(req, res, next) {
   try {
+    checkDefinitionAccess(req, req.params.name)
     let definition = req.app.get('definitions').find(o => o.name === req.params.name)
-    if(!definition) return next(new Error('Definition not found'))
+    if(!definition) return next(createError(404, 'Definition not found'))
 
-    // FIX: Pass the local path (definition.path), NOT a URL
-    let params = await definitions.getParams(definition.path)
+    // units and tolerances can be passed in the query string (see units.js)
+    const settings = modelSettings(definition, req.query)
 
-    res.json(params)
+    // stored per file hash, so this works while compute is asleep
+    await definitions.getDefinitionParams(definition)
+    const params = {
+      settings,
+      description: definition.description,
+      inputs: definition.inputs,
+      outputs: definition.outputs,
+      view: definition.view
+    }
+
+    // add the display name, ui hints and output roles from the manifest
+    res.json(applyManifest(definition, params))
   } catch(error) {
     next(error)
   }
 })
-router.get('/:id', function(req, res, next) {
-  let definition = req.app.get('definitions').find(o => o.id === req.params.id)
+/**
+ * Compute downloads definitions with a signed url (see compute.js), other
+ * clients need the definitions:read scope
+ */
+function canDownload(req, res, next) {
+  if (verifyDefinitionSignature(req.params.id, req.query.sig)) {
+    res.locals.signed = true
+    return next()
+  }
+  requireScope('definitions:read')(req, res, next)
+}
+
+router.get('/:id', canDownload, function(req, res, next) {
+  // ad-hoc definitions are only served while they are registered
+  let definition = req.app.get('definitions').find(o => o.id === req.params.id) || adhoc.find(req.params.id)
+  if(!definition) return next(createError(404, 'Definition not found'))
+  if(!res.locals.signed) {
+    try {
+      checkDefinitionAccess(req, definition.name)
+    } catch (error) {
+      return next(error)
+    }
+  }
   const options = {
     headers: {
       'x-timestamp': Date.now(),
@@ -0,0 +1,187 @@
+/**
+ * Publish definitions without redeploying the appserver
+ *
+ * Routes (admin only, see auth.js):
+ *  ('/') POST
+ *     Upload a new definition (multipart form, file field 'definition')
+ *  ('/:name') PUT
+ *     Publish a new version of a definition. Either upload a file like for
+ *     POST, or roll back to a stored version with a json body
+ *     { "version": "<md5>" }
+ *  ('/:name') DELETE
+ *     Remove a definition. Its stored versions are kept.
+ *  ('/:name/versions') GET
+ *     List the stored versions of a definition
+ *
+ * Uploads are only accepted once compute has loaded them (/io). Every
+ * published version is kept (see versions.js), so clients can pin one with
+ * `name@<md5>` in /solve.
+ */
+const express = require('express')
+const router = express.Router()
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const multer = require('multer')
+const createError = require('http-errors')
+const { getParams, syncDefinitions, FILES_DIR } = require('../definitions.js')
+const { requireAdmin } = require('../auth.js')
+const { modelSettings } = require('../units.js')
+const versions = require('../versions.js')
+const { writeMetadata } = require('../metadata.js')
+const { GrasshopperError } = require('../compute.js')
+
+const MAX_SIZE = parseInt(process.env.DEFINITION_MAX_SIZE || '50', 10) * 1024 * 1024
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SIZE, files: 1 }
+})
+
+/**
+ * Receive the uploaded file, if there is one. Upload errors are the
+ * client's fault, so they are turned into 400s.
+ */
+function receive(req, res, next) {
+  upload.single('definition')(req, res, error => {
+    if (error && !error.status)
+      return next(createError(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400, error.message))
+    next(error)
+  })
+}
+
+/**
+ * Check that a name can be used for a file in the files directory. Names
+ * can have folders ('cnc/profiler.gh', see roots.js).
+ */
+function checkName(name) {
+  if (!name || name.includes('\\') || name.split('/').some(segment => !segment || segment.startsWith('.')))
+    throw createError(400, `Invalid definition name: ${name}`)
+  if (!name.endsWith('.gh') && !name.endsWith('.ghx'))
+    throw createError(400, 'Definitions must be .gh or .ghx files')
+}
+
+/**
+ * The definition in the files directory with this name, if any
+ */
+function findPublished(req, name) {
+  return req.app.get('definitions').find(d => d.name === name && d.root === FILES_DIR)
+}
+
+/**
+ * Make sure compute can load a definition before it is published. The
+ * upload isn't registered yet, so it is always sent inline: compute can't
+ * download it (DEFINITION_TRANSFER=url) and has no reason to cache it.
+ */
+async function validate(name, buffer) {
+  const tmp = path.join(os.tmpdir(), `appserver-upload-${crypto.randomUUID()}${path.extname(name)}`)
+  await fs.promises.writeFile(tmp, buffer)
+  try {
+    return await getParams(tmp, modelSettings(), { transfer: 'inline' })
+  } catch (error) {
+    if (error instanceof GrasshopperError)
+      throw createError(422, `Compute could not load ${name}`, { details: { error: error.message } })
+    throw error
+  } finally {
+    await fs.promises.rm(tmp, { force: true })
+  }
+}
+
+/**
+ * Make a version the current one and update the registry of this worker
+ * (other workers pick the change up through the files watcher). The
+ * metadata from validate is stored, so compute isn't asked for it again.
+ */
+async function publish(req, name, buffer, params) {
+  const file = path.join(FILES_DIR, name)
+
+  // keep the version being replaced, it may never have been uploaded
+  if (fs.existsSync(file))
+    await versions.saveVersion(name, await fs.promises.readFile(file))
+  const id = await versions.saveVersion(name, buffer)
+  if (params) await writeMetadata(id, params)
+
+  // write then rename, so the watcher never sees half a file
+  const tmp = path.join(path.dirname(file), `.${path.basename(name)}.${process.pid}.tmp`)
+  await fs.promises.mkdir(path.dirname(file), { recursive: true })
+  await fs.promises.writeFile(tmp, buffer)
+  await fs.promises.rename(tmp, file)
+
+  await syncDefinitions(req.app.get('definitions'))
+  return { name, id, versions: await versions.listVersions(name) }
+}
+
+router.post('/', requireAdmin, receive, async (req, res, next) => {
+  try {
+    if (!req.file) throw createError(400, 'Upload the definition in the "definition" field')
+    const name = req.body.name || req.file.originalname
+    checkName(name)
+
+    const { dir, name: base } = path.parse(name)
+    const exists = ext => fs.existsSync(path.join(FILES_DIR, dir, base + ext))
+    if (exists('.gh') || exists('.ghx') || req.app.get('definitions').some(d => d.name === name))
+      throw createError(409, `Definition already exists: ${path.posix.join(dir, base)}. Use PUT to publish a new version.`)
+
+    const params = await validate(name, req.file.buffer)
+    const published = await publish(req, name, req.file.buffer, params)
+    res.status(201).location(`${req.baseUrl}/${encodeURIComponent(name)}`).json(published)
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.put('/:name', requireAdmin, receive, async (req, res, next) => {
+  try {
+    const name = req.params.name
+    if (!findPublished(req, name)) throw createError(404, `Definition not found: ${name}`)
+
+    let buffer, params
+    if (req.file) {
+      buffer = req.file.buffer
+      params = await validate(name, buffer)
+    } else if (req.body && req.body.version) {
+      const file = versions.getVersion(name, req.body.version)
+      if (!file) throw createError(404, `Version not found: ${name}@${req.body.version}`)
+      buffer = await fs.promises.readFile(file)
+    } else {
+      throw createError(400, 'Upload the definition in the "definition" field or pass a version to roll back to')
+    }
+
+    res.json(await publish(req, name, buffer, params))
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.delete('/:name', requireAdmin, async (req, res, next) => {
+  try {
+    const name = req.params.name
+    const definition = findPublished(req, name)
+    if (!definition) throw createError(404, `Definition not found: ${name}`)
+
+    // keep the current version so the definition can be restored
+    await versions.saveVersion(name, await fs.promises.readFile(definition.path))
+    await fs.promises.rm(definition.path)
+    await syncDefinitions(req.app.get('definitions'))
+
+    res.json({ name, versions: await versions.listVersions(name) })
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.get('/:name/versions', requireAdmin, async (req, res, next) => {
+  try {
+    const name = req.params.name
+    const list = await versions.listVersions(name)
+    const definition = findPublished(req, name)
+    if (!definition && list.length === 0) throw createError(404, `Definition not found: ${name}`)
+
+    res.json(list.map(version => Object.assign(version, { current: !!definition && definition.id === version.id })))
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
@@ -0,0 +1,48 @@
+/**
+ * Server-sent events
+ *
+ * Routes:
+ *  ('/?session=ID') GET
+ *     Stream of events for a session (text/event-stream). Use with the
+ *     browser's EventSource. Needs the solve scope, and only sessions the
+ *     same client solves with get their events. Event types:
+ *       health  compute server health, e.g. { healthy: true }
+ *       power   compute VM power state, e.g. { state: 'running' }
+ *       solve   solve progress for the session: stage is 'queued' (with
+ *               position), 'started', 'finished' or 'failed'
+ *       result  result of a solve job started with this session
+ *       definitions  definitions were added, changed or removed
+ */
+const express = require('express')
+const router = express.Router()
+const events = require('../events.js')
+const { requireScope } = require('../auth.js')
+
+// comment line sent regularly so proxies don't close idle streams
+const HEARTBEAT_INTERVAL = 15 * 1000
+
+router.get('/', requireScope('solve'), function(req, res) {
+  res.setHeader('Content-Type', 'text/event-stream')
+  res.setHeader('Cache-Control', 'no-cache')
+  res.setHeader('Connection', 'keep-alive')
+  res.setHeader('X-Accel-Buffering', 'no') // disable nginx buffering
+  res.flushHeaders()
+
+  // the compression middleware buffers output until it is flushed
+  const write = text => {
+    res.write(text)
+    if (res.flush) res.flush()
+  }
+
+  const unsubscribe = events.subscribe(events.clientSession(req, req.query.session), event => {
+    write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`)
+  })
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+})
+
+module.exports = router
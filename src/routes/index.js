@@ -4,21 +4,27 @@
  * outputs for a given definition
  * * Routes:
  * ('/')
- * Show list of definitions available
+ * Show list of definitions available. Filter with `tag`, `category` and `q`
+ * (text search), page with `page` and `pageSize`. The number of matching
+ * definitions is in the X-Total-Count header.
  * ('/:definition')
  * Get definition input/output details for a definition installed in
  * this AppServer. These definitions are located in the 'files' directory
  * ('/definition_description?path=FILEPATH`)
  * Get definition input/output details for a definition at an absolute
- * path on the AppServer machine.
+ * path on the AppServer machine. Admin only, and only for paths allowed by
+ * ADHOC_ROOTS (see adhoc.js)
  */
 const express = require('express')
 const router = express.Router()
 const compute = require('compute-rhino3d')
-const md5File = require('md5-file')
+const createError = require('http-errors')
+const adhoc = require('../adhoc.js')
+const { requireAdmin, requireScope, canUseDefinition, checkDefinitionAccess } = require('../auth.js')
+const { displayName } = require('../manifest.js')
 
-// FIX: Import registerDefinitions so we can use it below
-const { getParams, registerDefinitions } = require('../definitions.js')
+// FIX: Import refreshDefinitions so we can use it below
+const { getDefinitionParams, refreshDefinitions } = require('../definitions.js')
 
 /**
  * Set url and apikey used to communicate with a compute server
@@ -28,78 +34,116 @@ function setComputeParams (){
   compute.apiKey = process.env.RHINO_COMPUTE_KEY
 }
 
+const PAGE_SIZE = 50
+
 /**
- * Return list of definitions available on this server. The definitions
- * are located in the 'files' directory. These are the names that can be
- * used to call '/:definition_name` for details about a specific definition
+ * The list entry for a definition. Input and output details are only
+ * included once they are stored (see metadata.js), listing definitions never
+ * waits for compute.
  */
-router.get('/',  function(req, res, next) {
-  let definitions = req.app.get('definitions');
-
-  // --- FIX: Auto-Rescan if empty ---
-  if (!definitions || definitions.length === 0) {
-    console.log('Definitions list empty. Re-scanning files directory...');
-    // FIX: Call the function directly (it was previously undefined as definitionsModule)
-    definitions = registerDefinitions(); 
-    req.app.set('definitions', definitions); // Update the app memory
+async function listEntry(definition) {
+  const manifest = definition.manifest || {}
+  const params = await getDefinitionParams(definition, { fetch: false })
+  return {
+    name: definition.name,
+    displayName: displayName(definition),
+    category: manifest.category || null,
+    tags: manifest.tags || [],
+    description: manifest.description || (params ? params.description : null),
+    inputs: params ? params.inputs.length : null,
+    outputs: params ? params.outputs.length : null,
+    hash: definition.id,
+    modified: definition.modified ? new Date(definition.modified).toISOString() : null,
+    view: params ? params.view : null
   }
-  // --------------------------------
+}
 
-  let responseList = []
-  if (definitions) {
-      definitions.forEach( def => {
-        responseList.push({name: def.name})
-      })
+/**
+ * Whether a list entry matches the `tag`, `category` and `q` query
+ * parameters. Every tag passed must be on the definition.
+ */
+function matches(entry, query) {
+  const lower = value => String(value || '').toLowerCase()
+  const tags = entry.tags.map(lower)
+
+  if (query.tag !== undefined && ![].concat(query.tag).every(tag => tags.includes(lower(tag))))
+    return false
+  if (query.category !== undefined && lower(entry.category) !== lower(query.category))
+    return false
+  if (query.q !== undefined) {
+    const text = [entry.name, entry.displayName, entry.description, entry.category].concat(entry.tags)
+    if (!text.some(value => lower(value).includes(lower(query.q))))
+      return false
   }
+  return true
+}
+
+function parsePositive(value, name) {
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 1)
+    throw createError(400, `${name} must be a whole number greater than 0`)
+  return number
+}
+
+/**
+ * Return list of definitions available on this server. The definitions
+ * are located in the definition roots (see roots.js). These are the names
+ * that can be used to call '/:definition_name` for details about a specific
+ * definition (names in folders are url encoded, e.g. 'cnc%2Fprofiler.gh')
+ */
+router.get('/', requireScope('definitions:read'), async function(req, res, next) {
+  try {
+    let definitions = req.app.get('definitions') || []
+
+    // --- FIX: Auto-Rescan if empty ---
+    // (in place, so the registry stays the one the watcher keeps in sync)
+    if (definitions.length === 0) {
+      console.log('Definitions list empty. Re-scanning definition roots...')
+      refreshDefinitions(definitions)
+    }
+    // --------------------------------
+
+    // clients only see the definitions they may use
+    const sorted = definitions
+      .filter(definition => canUseDefinition(req.client, definition.name))
+      .sort((a, b) => a.name.localeCompare(b.name))
+    let entries = []
+    for (const definition of sorted)
+      entries.push(await listEntry(definition))
+    entries = entries.filter(entry => matches(entry, req.query))
+
+    res.setHeader('X-Total-Count', entries.length)
+    if (req.query.page !== undefined || req.query.pageSize !== undefined) {
+      const page = req.query.page !== undefined ? parsePositive(req.query.page, 'page') : 1
+      const pageSize = req.query.pageSize !== undefined ? parsePositive(req.query.pageSize, 'pageSize') : PAGE_SIZE
+      entries = entries.slice((page - 1) * pageSize, page * pageSize)
+    }
 
-  res.setHeader('Content-Type', 'application/json')
-  res.send(JSON.stringify(responseList))
+    res.json(entries)
+  } catch (error) {
+    next(error)
+  }
 })
 
 function describeDefinition(definition, req, res, next){
   if(definition === undefined)
     throw new Error('Definition not found on server.') 
 
-  let data = {name: definition.name}
-
-  if(!Object.prototype.hasOwnProperty.call(definition, 'inputs')
-     && !Object.prototype.hasOwnProperty.call(definition, 'outputs')) {
-
-    let fullUrl = req.protocol + '://' + req.get('host')
-    let definitionPath = `${fullUrl}/definition/${definition.id}`
-
-    getParams(definitionPath).then(data => {
-      // cache
-      definition.description = data.description
-      definition.inputs = data.inputs
-      definition.outputs = data.outputs
-
-      // pretty print json
-      res.setHeader('Content-Type', 'application/json')
-      res.send(JSON.stringify(data, null, 4))
-    }).catch(next)
-  } else {
-    data.description = definition.description
-    data.inputs = definition.inputs
-    data.outputs = definition.outputs
+  getDefinitionParams(definition).then(params => {
+    let data = Object.assign({name: definition.name}, params)
 
+    // pretty print json
     res.setHeader('Content-Type', 'application/json')
     res.send(JSON.stringify(data, null, 4))
-  }
+  }).catch(next)
 }
 
-router.get('/definition_description', function(req, res, next){
-  let fullPath = req.query['path']
-  let definition = req.app.get('definitions').find(o => o.name === fullPath)
-  if(definition === undefined){
-    const hash = md5File.sync(fullPath)
-    let definitions = req.app.get('definitions')
-    definition = {
-      name: fullPath,
-      id:hash,
-      path: fullPath
-    }
-    definitions.push(definition)
+router.get('/definition_description', requireAdmin, function(req, res, next){
+  let definition
+  try {
+    definition = adhoc.register(req.query['path'])
+  } catch (error) {
+    return next(error)
   }
   describeDefinition(definition, req, res, next)
 })
@@ -108,7 +152,12 @@ router.get('/definition_description', function(req, res, next){
  * This route needs to be declared after /definition_description so it won't be
  * called when '/definition_description' is requested
  */
-router.get('/:name', function(req, res, next){
+router.get('/:name', requireScope('definitions:read'), function(req, res, next){
+  try {
+    checkDefinitionAccess(req, req.params.name)
+  } catch (error) {
+    return next(error)
+  }
   let definition = req.app.get('definitions').find(o => o.name === req.params.name)
   describeDefinition(definition, req, res, next)
 })
@@ -0,0 +1,38 @@
+/**
+ * Hops style /io requests, forwarded to compute
+ *
+ * Routes:
+ *  ('/') POST
+ *     Get the inputs and outputs of a definition. The body is what Hops
+ *     sends to compute's /io: the definition as base64 (`algo`) or the
+ *     `pointer` compute cached it by ('md5_<hash>'), along with tolerances
+ *     and units. Pointers to urls are rejected, compute would download
+ *     whatever they point to.
+ */
+const express = require('express')
+const router = express.Router()
+const createError = require('http-errors')
+const compute = require('../compute.js')
+const limits = require('../limits.js')
+const power = require('../power.js')
+
+router.post('/', limits.rateLimit('info'), async function(req, res, next) {
+  const done = power.begin()
+  try {
+    const body = req.body
+    if (!body || typeof body !== 'object' || Array.isArray(body))
+      throw createError(400, 'Send a Hops style json body')
+    if (!body.algo && !body.pointer)
+      throw createError(400, 'Pass the definition as `algo` or `pointer`')
+    if (body.pointer && /^[a-z][a-z0-9+.-]*:/i.test(body.pointer))
+      throw createError(400, 'Url pointers are not allowed, pass the definition as `algo`')
+
+    res.json(await compute.post('io', body, { signal: compute.abortOnDisconnect(res) }))
+  } catch (error) {
+    next(error)
+  } finally {
+    done()
+  }
+})
+
+module.exports = router
@@ -0,0 +1,37 @@
+/**
+ * Compute VM power (see power.js)
+ *
+ * Routes:
+ *  ('/status') GET
+ *     Power state, last activity and seconds until the idle shutdown
+ *  ('/history') GET
+ *     Uptime and cost per day and the power events of the last `days` days
+ *     (default 7, see powerlog.js)
+ */
+const express = require('express')
+const router = express.Router()
+const createError = require('http-errors')
+const power = require('../power.js')
+const powerlog = require('../powerlog.js')
+const { requireScope } = require('../auth.js')
+
+router.get('/status', requireScope('health'), async function(req, res, next) {
+  try {
+    res.json(await power.status())
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.get('/history', requireScope('health'), async function(req, res, next) {
+  try {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days)
+    if (!Number.isInteger(days) || days < 1 || days > 366)
+      throw createError(400, '`days` must be a whole number from 1 to 366')
+    res.json(await powerlog.history(days))
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
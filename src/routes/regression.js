@@ -0,0 +1,47 @@
+/**
+ * Golden output regression cases (see regression.js)
+ *
+ * Routes:
+ *  ('/') GET
+ *     The latest results per definition, from the admin route or the CLI
+ *  ('/') POST
+ *     Admin only. Run the cases of all definitions, or of the definitions
+ *     in `definition` (query or body, repeatable). `update=true` records the
+ *     results as the expected outputs. `format=junit` answers with JUnit XML
+ *     instead of json.
+ */
+const express = require('express')
+const router = express.Router()
+const createError = require('http-errors')
+const regression = require('../regression.js')
+const { requireScope, requireAdmin } = require('../auth.js')
+
+router.get('/', requireScope('health'), function(req, res) {
+  res.json(regression.latestResults())
+})
+
+router.post('/', requireAdmin, async function(req, res, next) {
+  try {
+    const options = Object.assign({}, req.query, req.body)
+    const names = [].concat(options.definition || [])
+    const registered = req.app.get('definitions')
+
+    let definitions = registered.filter(regression.hasCases)
+    if (names.length > 0) {
+      const unknown = names.filter(name => !definitions.some(d => d.name === name))
+      if (unknown.length > 0)
+        throw createError(404, `No regression cases for: ${unknown.join(', ')}`)
+      definitions = definitions.filter(d => names.includes(d.name))
+    }
+
+    const reports = await regression.run(definitions, { update: String(options.update) === 'true' })
+    if (options.format === 'junit')
+      res.type('application/xml').send(regression.toJUnit(reports))
+    else
+      res.json(reports)
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
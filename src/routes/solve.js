@@ -1,100 +1,332 @@
+/**
+ * Solve grasshopper definitions on compute
+ *
+ * Routes:
+ *  ('/') POST
+ *     Solve a definition with the inputs given in the json body
+ *  ('/:name?param=value') GET
+ *     Solve a definition with the inputs given as query string parameters
+ *  ('/:name?param=value') HEAD
+ *     Same solve as GET, but only the result headers are returned
+ *  ('/jobs') POST
+ *     Start an asynchronous solve and return a job id right away
+ *  ('/jobs/:id') GET / DELETE
+ *     Get the status and result of a job / cancel a job
+ *  ('/cache/:name') DELETE
+ *     Admin only. Purge the cached results for a definition
+ *
+ * Definitions are given by name. `name@<md5>` solves a stored version of
+ * the definition instead of the current one (see versions.js).
+ *
+ * Results are cached (see cache.js). Every solve response has an X-Cache
+ * header telling if the result came from the cache (HIT) or compute (MISS).
+ */
 const express = require('express')
 const router = express.Router()
-const fs = require('fs')
 const path = require('path')
-const md5File = require('md5-file')
-const fetch = require('node-fetch')
-
-// Helper: Format JS inputs into Rhino Compute DataTrees
-function formatInputs(inputs) {
-  const values = []
-  
-  for (const [key, value] of Object.entries(inputs)) {
-    let type = 'System.String'
-    let data = value
-
-    if (typeof value === 'boolean') {
-      type = 'System.Boolean'
-    } else if (typeof value === 'number') {
-      type = 'System.Double' // Default to double for all numbers
-      // If you strictly need integers, you could check Number.isInteger(value) -> System.Int32
-    }
-
-    // Construct the DataTree object
-    const param = {
-      ParamName: key,
-      InnerTree: {
-        "{0}": [ 
-          { 
-            type: type, 
-            data: data 
-          } 
-        ]
-      }
-    }
-    values.push(param)
+const crypto = require('crypto')
+const createError = require('http-errors')
+const { getDefinitionParams } = require('../definitions.js')
+const { applyManifest } = require('../manifest.js')
+const cache = require('../cache.js')
+const { requireAdmin, checkDefinitionAccess, isConfigured } = require('../auth.js')
+const { formatInputs, coerceQueryInputs, validateInputs } = require('../inputs.js')
+const { modelSettings, takeSettings, toHops } = require('../units.js')
+const versions = require('../versions.js')
+const queue = require('../queue.js')
+const jobs = require('../jobs.js')
+const events = require('../events.js')
+const compute = require('../compute.js')
+const limits = require('../limits.js')
+const power = require('../power.js')
+
+/**
+ * Send a definition and its formatted input values to the compute
+ * /grasshopper endpoint and return the parsed result along with the solve
+ * duration in ms
+ */
+async function solve(definitionPath, rhInputs, settings, signal) {
+  // 1. Construct the Hops-style JSON Body. compute.solve adds the
+  // definition, how depends on DEFINITION_TRANSFER
+  const requestBody = Object.assign(toHops(settings), {
+    'cachesolve': false,
+    'values': rhInputs
+  })
+
+  // 2. Send to /grasshopper endpoint on one of the compute backends
+  console.log(`Solving ${path.basename(definitionPath)}...`)
+  const start = Date.now()
+  const result = await compute.solve(definitionPath, requestBody, { signal })
+  return { result, duration: Date.now() - start }
+}
+
+/**
+ * How out of range numbers are handled for a definition: 'clamp' or 'reject'
+ */
+function rangeMode(definition) {
+  const validation = (definition.manifest || {}).validation || {}
+  return validation.range || process.env.INPUT_RANGE_MODE || 'reject'
+}
+
+/**
+ * Validate inputs against the definition's input metadata (see inputs.js)
+ * and return the checked inputs
+ */
+async function prepareInputs(definition, inputs) {
+  // the manifest can set the range of inputs
+  const params = applyManifest(definition, await getDefinitionParams(definition))
+  return validateInputs(inputs, params.inputs, rangeMode(definition))
+}
+
+/**
+ * Solve a registered definition with prepared inputs, using the result cache
+ * when possible. The compute call waits its turn in the solve queue.
+ * Resolves with the result, the cache status ('HIT' or 'MISS') and the
+ * solve duration in ms.
+ *
+ * options:
+ *  settings model units and tolerances (see units.js), defaults to the
+ *           definition's settings
+ *  signal   AbortSignal that cancels the solve
+ *  onStart  async function awaited when the solve leaves the queue
+ *  session  session id that progress events are published to (see events.js)
+ *  job      job id included in the progress events
+ *  request  the request that asked for the solve, solves sent to compute
+ *           count against its client's quota (see limits.js)
+ *  cache    false always solves on compute and leaves the cache alone, e.g.
+ *           for regression cases (see regression.js)
+ */
+async function solveDefinition(definition, checked, options = {}) {
+  const { signal, onStart, session, job, request, cache: useCache = true } = options
+  const settings = options.settings || modelSettings(definition)
+  const progress = (stage, data) => {
+    if (session) events.publish('solve', Object.assign({ stage, definition: definition.name, job }, data), session)
+  }
+
+  const cached = useCache ? await cache.getResult(definition, checked, settings) : undefined
+  if (cached !== undefined) {
+    progress('finished', { cache: 'HIT', duration: 0 })
+    return { result: cached, cache: 'HIT', duration: 0 }
+  }
+
+  if (request) await limits.checkQuota(request)
+
+  const rhInputs = formatInputs(checked, definition.inputs)
+  // keeps compute from being stopped while the solve is queued or running
+  const done = power.begin()
+  try {
+    // with POWER_WAKE_ON_SOLVE a stopped VM is started first
+    await power.awaitCompute({
+      signal,
+      onWait: () => progress('waking'),
+      trigger: request ? limits.clientId(request) : undefined
+    })
+    const { result, duration } = await queue.run(async signal => {
+      if (onStart) await onStart()
+      progress('started')
+      return solve(definition.path, rhInputs, settings, signal)
+    }, { signal, onPosition: position => progress('queued', { position }) })
+
+    if (request) await limits.recordSolve(request, duration)
+    if (useCache) await cache.setResult(definition, checked, settings, result)
+    progress('finished', { cache: 'MISS', duration })
+    return { result, cache: 'MISS', duration }
+  } catch (error) {
+    progress('failed', { error: error.message })
+    throw error
+  } finally {
+    done()
   }
-  return values
 }
 
-router.post('/', async (req, res, next) => {
+/**
+ * Clients pass a session id to get progress events for their solves
+ */
+function getSession(req) {
+  const session = req.get('X-Session-Id') || (req.body && req.body.session) || req.query.session
+  return events.clientSession(req, session)
+}
+
+/**
+ * Set the X-Cache and Server-Timing headers for a solve
+ */
+function setSolveHeaders(res, solved) {
+  res.setHeader('X-Cache', solved.cache)
+  res.setHeader('Server-Timing', solved.cache === 'HIT' ? 'cache;desc=hit' : `solve;dur=${solved.duration}`)
+}
+
+// definitions pinned to an old version, kept so their io metadata is cached
+const pinned = new Map()
+
+/**
+ * Find a registered definition by name. `name@<md5>` pins a version of the
+ * definition (see versions.js).
+ */
+function findDefinition(req, name) {
+  // before the lookup, so clients can't find out what else exists
+  checkDefinitionAccess(req, name)
+  const match = /^(.+)@([0-9a-f]{32})$/.exec(name)
+  const definition = req.app.get('definitions').find(o => o.name === (match ? match[1] : name))
+  if (!match || (definition && definition.id === match[2])) {
+    if (definition === undefined)
+      throw createError(404, `Definition not found: ${name}`)
+    return definition
+  }
+
+  const [, base, id] = match
+  const file = versions.getVersion(base, id)
+  if (!file)
+    throw createError(404, `Definition version not found: ${name}`)
+  if (!pinned.has(name))
+    pinned.set(name, { name: base, id, path: file, manifest: definition ? definition.manifest : {} })
+  return pinned.get(name)
+}
+
+/**
+ * Set the headers describing a solve result. These are the only thing
+ * returned for HEAD requests, so proxies can pre-warm results cheaply.
+ * Shared caches only get results every client may have: with API keys or
+ * JWTs configured, those of requests without credentials.
+ */
+function setResultHeaders(req, res, result) {
+  const hash = crypto.createHash('md5').update(JSON.stringify(result)).digest('hex')
+  const shared = !isConfigured() || req.client.anonymous
+  res.setHeader('X-Result-Hash', hash)
+  res.setHeader('ETag', `"${hash}"`)
+  res.setHeader('Cache-Control', `${shared ? 'public' : 'private'}, max-age=${process.env.SOLVE_MAX_AGE || 3600}`)
+  if (isConfigured()) res.setHeader('Vary', 'Authorization, X-Api-Key')
+}
+
+/**
+ * Shared handler for GET and HEAD solves with query string inputs
+ */
+async function solveFromQuery(req, res) {
+  const signal = compute.abortOnDisconnect(res)
+  const definition = findDefinition(req, req.params.name)
+
+  await getDefinitionParams(definition)
+  const session = getSession(req)
+  const query = Object.assign({}, req.query)
+  delete query.session
+  const settings = modelSettings(definition, takeSettings(query, definition.inputs.map(p => p.name)))
+  const inputs = coerceQueryInputs(query, definition.inputs)
+  const solved = await solveDefinition(definition, await prepareInputs(definition, inputs), { settings, signal, session, request: req })
+
+  setSolveHeaders(res, solved)
+  setResultHeaders(req, res, solved.result)
+  return solved.result
+}
+
+router.post('/', limits.rateLimit('solve'), async (req, res, next) => {
+  try {
+    // drop the solve if the client goes away before it is done
+    const signal = compute.abortOnDisconnect(res)
+    const data = req.body
+    const definition = findDefinition(req, data.definition)
+
+    const checked = await prepareInputs(definition, data.inputs || {})
+    const settings = modelSettings(definition, data)
+    const solved = await solveDefinition(definition, checked, { settings, signal, session: getSession(req), request: req })
+    setSolveHeaders(res, solved)
+    res.json(solved.result)
+
+  } catch (error) {
+    next(error) // Pass to Express error handler
+  }
+})
+
+/**
+ * Start an asynchronous solve. Takes the same body as POST '/' and returns
+ * the job id right away. Invalid inputs are rejected before a job is made.
+ */
+router.post('/jobs', limits.rateLimit('solve'), async (req, res, next) => {
   try {
     const data = req.body
-    const definitionPath = path.join(__dirname, '../files/', data.definition)
-    
-    if (!fs.existsSync(definitionPath)) {
-      throw new Error(`Definition not found: ${data.definition}`)
-    }
-
-    // 1. Prepare File & Hash
-    const buffer = fs.readFileSync(definitionPath)
-    const algo = buffer.toString('base64')
-    const pointer = "md5_" + md5File.sync(definitionPath)
-
-    // 2. Format Inputs
-    const rhInputs = formatInputs(data.inputs)
-
-    // 3. Construct the Hops-style JSON Body
-    const requestBody = {
-      "absolutetolerance": 0.01,
-      "angletolerance": 1.0,
-      "modelunits": "Inches", 
-      "algo": algo,         // Send file content ensures it works even if cache is cleared
-      "pointer": pointer,   // Send pointer for speed if server cached it
-      "cachesolve": false,
-      "values": rhInputs
-    }
-
-    // 4. Send to /grasshopper endpoint
-    let url = process.env.RHINO_COMPUTE_URL
-    if (!url.endsWith('/')) url += '/'
-    url += 'grasshopper'
-
-    const apiKey = process.env.RHINO_COMPUTE_KEY
-
-    console.log(`Solving ${data.definition} on ${url}...`)
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'RhinoComputeKey': apiKey
-      },
-      body: JSON.stringify(requestBody)
+    const definition = findDefinition(req, data.definition)
+    const checked = await prepareInputs(definition, data.inputs || {})
+    const settings = modelSettings(definition, data)
+
+    const session = getSession(req)
+    // answer right away when the quota is used up, not from the job
+    await limits.checkQuota(req)
+
+    const job = await jobs.createJob({ definition: definition.name }, async ({ id, signal, onStart }) => {
+      const solved = await solveDefinition(definition, checked, { settings, signal, onStart, session, job: id, request: req })
+      if (session)
+        events.publish('result', { job: id, definition: definition.name, result: solved.result }, session)
+      return solved.result
     })
 
-    if (!response.ok) {
-      const errorText = await response.text()
-      console.error(`Compute Error ${response.status}: ${errorText}`)
-      throw new Error(`Compute Server Error ${response.status}: ${errorText}`)
-    }
+    res.status(202).location(`${req.baseUrl}/jobs/${job.id}`).json(job)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Get the status, timings and (once finished) the result of a job
+ */
+router.get('/jobs/:id', async (req, res, next) => {
+  try {
+    const job = await jobs.getJob(req.params.id)
+    if (!job) throw createError(404, `Job not found: ${req.params.id}`)
+    checkDefinitionAccess(req, job.definition)
+    res.json(job)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * Cancel a queued or running job
+ */
+router.delete('/jobs/:id', async (req, res, next) => {
+  try {
+    const found = await jobs.getJob(req.params.id)
+    if (!found) throw createError(404, `Job not found: ${req.params.id}`)
+    checkDefinitionAccess(req, found.definition)
 
-    const result = await response.json()
+    const job = await jobs.cancelJob(req.params.id)
+    if (!job) throw createError(404, `Job not found: ${req.params.id}`)
+    if (job.status !== 'cancelled')
+      throw createError(409, `Job already ${job.status}`)
+    res.json(job)
+  } catch (error) {
+    next(error)
+  }
+})
+
+/**
+ * HEAD has to be declared before GET, otherwise express routes HEAD
+ * requests to the GET handler
+ */
+router.head('/:name', limits.rateLimit('solve'), async (req, res, next) => {
+  try {
+    await solveFromQuery(req, res)
+    res.end()
+  } catch (error) {
+    next(error)
+  }
+})
+
+router.get('/:name', limits.rateLimit('solve'), async (req, res, next) => {
+  try {
+    const result = await solveFromQuery(req, res)
     res.json(result)
+  } catch (error) {
+    next(error)
+  }
+})
 
+router.delete('/cache/:name', requireAdmin, async (req, res, next) => {
+  try {
+    const definition = findDefinition(req, req.params.name)
+    const removed = await cache.purge(definition)
+    res.json({ definition: definition.name, removed })
   } catch (error) {
-    next(error) // Pass to Express error handler
+    next(error)
   }
 })
 
-module.exports = router
\ No newline at end of file
+// regression cases are solved the same way as /solve (see regression.js)
+module.exports = Object.assign(router, { prepareInputs, solveDefinition })
@@ -9,7 +9,8 @@
  */
 const express = require('express')
 const router = express.Router()
-const getParams = require('../definitions.js').getParams
+const getDefinitionParams = require('../definitions.js').getDefinitionParams
+const { canUseDefinition } = require('../auth.js')
 
 /**
  * Show list of available definitions
@@ -19,20 +20,16 @@ router.get('/', async(req, res, next) => {
     definitions: []
   }
   for (const definition of req.app.get('definitions')) {
-    //console.log(definition)
+    if (!canUseDefinition(req.client, definition.name)) continue
     let data
     try {
-
-      let fullUrl = req.protocol + '://' + req.get('host')
-      let definitionPath = `${fullUrl}/definition/${definition.id}`
-
-      data = await getParams(definitionPath)
+      data = await getDefinitionParams(definition)
     } catch (err) {
+      // leave out definitions compute can't describe right now
       console.log(err)
-      next(err)
     }
     if(data)
-      if(data.view) { view.definitions.push({ name: definition.name }) }
+      if(data.view) { view.definitions.push({ name: definition.name, url: '/view/' + encodeURIComponent(definition.name) }) }
     
   }
   res.render('list', view)
@@ -44,29 +41,15 @@ router.get('/', async(req, res, next) => {
 router.get('/:name', async (req, res, next) => {
   const definition = req.app.get('definitions').find(o => o.name === req.params.name)
 
-  if (definition === undefined) {
+  if (definition === undefined || !canUseDefinition(req.client, definition.name)) {
     res.status(404).json({ message: 'Definition not found on server.' })
     return
   }
 
-  const fullUrl = req.protocol + '://' + req.get('host')
-  let definitionPath = `${fullUrl}/definition/${definition.id}`
-
-  if(!Object.prototype.hasOwnProperty.call(definition, 'inputs')
-     && !Object.prototype.hasOwnProperty.call(definition, 'outputs')) {
-
-    let data
-    try {
-      data = await getParams(definitionPath)
-    } catch (err) {
-      next(err)
-    }
-
-    // cache
-    definition.description = data.description
-    definition.inputs = data.inputs
-    definition.outputs = data.outputs
-
+  try {
+    await getDefinitionParams(definition)
+  } catch (err) {
+    return next(err)
   }
 
   view = {
@@ -0,0 +1,21 @@
+/**
+ * Usage of the calling client
+ *
+ * Routes:
+ *  ('/') GET
+ *     Today's solves and compute seconds, the daily quota and what is left
+ *     of each rate limit (see limits.js)
+ */
+const express = require('express')
+const router = express.Router()
+const { report } = require('../limits.js')
+
+router.get('/', async function(req, res, next) {
+  try {
+    res.json(await report(req))
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
@@ -0,0 +1,148 @@
+/**
+ * Power schedules for the compute VM (see power.js)
+ *
+ * POWER_SCHEDULE is a list of rules separated by ';'. Every rule is an
+ * action followed by a cron expression (minute hour day-of-month month
+ * day-of-week) and applies during the minutes the expression matches:
+ *  warm <cron>     keep the VM running: it is started if it is stopped and
+ *                  isn't stopped when idle
+ *  nostart <cron>  never start the VM by itself, neither for a warm rule nor
+ *                  for a solve (POWER_WAKE_ON_SOLVE). /wakeup still works
+ *
+ * Keep warm Mon-Fri 7:00-18:00 and never start on weekends:
+ *   warm * 7-17 * * mon-fri; nostart * * * * sat,sun
+ *
+ * Fields take '*', numbers, ranges ('1-5'), lists ('1,3') and steps ('0/15',
+ * '0-30/10'). Days and months can be names ('mon', 'jan'), Sunday is 0 or 7.
+ * Times are in POWER_SCHEDULE_TZ, an IANA time zone like 'Europe/Zurich'
+ * (default: the server's time zone).
+ */
+
+const ACTIONS = ['warm', 'nostart']
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+]
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }
+
+/**
+ * A number or name in a cron field
+ */
+function parseValue(text, field) {
+  const name = text.toLowerCase()
+  if (field.names && field.names.includes(name))
+    return field.names.indexOf(name) + field.offset
+  if (!/^\d+$/.test(text))
+    throw new Error(`Invalid ${field.name} in POWER_SCHEDULE: ${text}`)
+  const value = Number(text)
+  if (value < field.min || value > field.max)
+    throw new Error(`${field.name} out of range in POWER_SCHEDULE: ${text}`)
+  return value
+}
+
+/**
+ * The values a cron field matches, null for '*'
+ */
+function parseField(text, field) {
+  if (text === '*') return null
+  const values = new Set()
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/')
+    const step = stepText === undefined ? 1 : Number(stepText)
+    if (!Number.isInteger(step) || step < 1)
+      throw new Error(`Invalid step in POWER_SCHEDULE: ${part}`)
+
+    let from = field.min
+    let to = field.max
+    if (range !== '*') {
+      const bounds = range.split('-')
+      from = parseValue(bounds[0], field)
+      // '5/10' is every 10 from 5 on
+      to = bounds.length > 1 ? parseValue(bounds[1], field) : (stepText === undefined ? from : field.max)
+    }
+    if (from > to)
+      throw new Error(`Invalid range in POWER_SCHEDULE: ${part}`)
+    for (let value = from; value <= to; value += step) values.add(value)
+  }
+  // Sunday is 0 and 7
+  if (field.name === 'day of week' && values.has(7)) values.add(0)
+  return values
+}
+
+function parseRule(text) {
+  const [action, ...fields] = text.trim().split(/\s+/)
+  if (!ACTIONS.includes(action))
+    throw new Error(`Unknown POWER_SCHEDULE action '${action}', use ${ACTIONS.join(' or ')}`)
+  if (fields.length !== FIELDS.length)
+    throw new Error(`POWER_SCHEDULE rules need ${FIELDS.length} cron fields: ${text.trim()}`)
+  const [minute, hour, day, month, weekday] = fields.map((field, i) => parseField(field, FIELDS[i]))
+  return { action, text: text.trim(), minute, hour, day, month, weekday }
+}
+
+/**
+ * The local time in a time zone, as cron fields
+ */
+function timeIn(date, timeZone) {
+  const parts = {}
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value })
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: WEEKDAYS[parts.weekday]
+  }
+}
+
+function matches(rule, time) {
+  const has = (values, value) => values === null || values.has(value)
+  // like cron, a rule with both days matches on either of them
+  const dayMatches = rule.day !== null && rule.weekday !== null
+    ? rule.day.has(time.day) || rule.weekday.has(time.weekday)
+    : has(rule.day, time.day) && has(rule.weekday, time.weekday)
+  return has(rule.minute, time.minute) && has(rule.hour, time.hour) && has(rule.month, time.month) && dayMatches
+}
+
+/**
+ * Parse a schedule
+ * @param {string} text rules separated by ';'
+ * @param {string} [timeZone] IANA time zone, defaults to the server's
+ * @returns {object} { rules, at(date) } at returns { warm, noStart } for a
+ *   point in time
+ */
+function parseSchedule(text, timeZone) {
+  const rules = (text || '').split(';').filter(rule => rule.trim()).map(parseRule)
+  // throws a RangeError for unknown time zones
+  timeIn(new Date(), timeZone)
+
+  return {
+    rules: rules.map(rule => rule.text),
+    at(date = new Date()) {
+      const time = timeIn(date, timeZone)
+      const active = rules.filter(rule => matches(rule, time)).map(rule => rule.action)
+      return { warm: active.includes('warm'), noStart: active.includes('nostart') }
+    }
+  }
+}
+
+/**
+ * The schedule from POWER_SCHEDULE and POWER_SCHEDULE_TZ
+ */
+function loadSchedule() {
+  return parseSchedule(process.env.POWER_SCHEDULE, process.env.POWER_SCHEDULE_TZ || undefined)
+}
+
+module.exports = { parseSchedule, loadSchedule }
@@ -0,0 +1,99 @@
+/**
+ * Model units and tolerances that compute solves definitions with
+ *
+ * Every setting is taken from the first of these that has it:
+ *  - the request: `units`, `absoluteTolerance` and `angleTolerance`
+ *  - the definition manifest: `model.units`, `model.absoluteTolerance` and
+ *    `model.angleTolerance`
+ *  - RHINO_MODEL_UNITS, RHINO_ABSOLUTE_TOLERANCE and RHINO_ANGLE_TOLERANCE
+ *  - Inches, 0.01 and 1 (degree)
+ */
+const createError = require('http-errors')
+
+// rhino unit systems compute understands
+const UNITS = [
+  'Angstroms', 'Nanometers', 'Microns', 'Millimeters', 'Centimeters', 'Decimeters',
+  'Meters', 'Dekameters', 'Hectometers', 'Kilometers', 'Megameters', 'Gigameters',
+  'Microinches', 'Mils', 'Inches', 'Feet', 'Yards', 'Miles',
+  'PrinterPoints', 'PrinterPicas', 'NauticalMiles', 'AstronomicalUnits', 'LightYears', 'Parsecs'
+]
+
+const ABBREVIATIONS = {
+  mm: 'Millimeters',
+  cm: 'Centimeters',
+  m: 'Meters',
+  km: 'Kilometers',
+  in: 'Inches',
+  inch: 'Inches',
+  ft: 'Feet',
+  yd: 'Yards'
+}
+
+/**
+ * Turn 'mm', 'millimeters' or 'Millimeters' into the name compute expects
+ */
+function parseUnits(value) {
+  const name = String(value).trim().toLowerCase()
+  const units = ABBREVIATIONS[name] || UNITS.find(u => u.toLowerCase() === name)
+  if (!units)
+    throw createError(400, `Unknown units: ${value}`, { details: { units: UNITS } })
+  return units
+}
+
+function parseTolerance(value, name) {
+  const number = Number(value)
+  if (typeof value === 'boolean' || value === '' || !(number > 0))
+    throw createError(400, `${name} must be a number greater than 0`)
+  return number
+}
+
+function pick(...values) {
+  return values.find(value => value !== undefined && value !== null && value !== '')
+}
+
+/**
+ * Resolve the model settings for a definition
+ * @param {object} [definition] registered definition (for its manifest)
+ * @param {object} [request] settings passed by the client
+ * @returns {object} { units, absoluteTolerance, angleTolerance }
+ */
+function modelSettings(definition, request = {}) {
+  const manifest = ((definition || {}).manifest || {}).model || {}
+  return {
+    units: parseUnits(pick(request.units, manifest.units, process.env.RHINO_MODEL_UNITS, 'Inches')),
+    absoluteTolerance: parseTolerance(pick(request.absoluteTolerance, manifest.absoluteTolerance,
+      process.env.RHINO_ABSOLUTE_TOLERANCE, 0.01), 'absoluteTolerance'),
+    angleTolerance: parseTolerance(pick(request.angleTolerance, manifest.angleTolerance,
+      process.env.RHINO_ANGLE_TOLERANCE, 1.0), 'angleTolerance')
+  }
+}
+
+/**
+ * Take the model settings out of a query string or request body, so what is
+ * left are the inputs. Names the definition uses for inputs are left alone.
+ * @param {object} source query or body, modified in place
+ * @param {string[]} [inputNames] names of the definition's inputs
+ */
+function takeSettings(source, inputNames = []) {
+  const request = {}
+  for (const key of ['units', 'absoluteTolerance', 'angleTolerance']) {
+    if (source[key] !== undefined && !inputNames.includes(key)) {
+      request[key] = source[key]
+      delete source[key]
+    }
+  }
+  return request
+}
+
+/**
+ * The model settings as fields of a Hops request body
+ */
+function toHops(settings) {
+  return {
+    absolutetolerance: settings.absoluteTolerance,
+    angletolerance: settings.angleTolerance,
+    modelunits: settings.units
+  }
+}
+
+module.exports = { modelSettings, takeSettings, toHops, UNITS }
@@ -1,23 +1,28 @@
+const backends = require('./backends')
+const compute = require('./compute')
 
 const appserverVersion = require('../package.json').version
 
+/**
+ * Versions of the compute backends and the appserver. The top level fields
+ * come from the first backend that answered, `backends` lists each of them.
+ */
 async function getVersion() {
-
-  let request = {
-    'method':'GET',
-    'headers': {'RhinoComputeKey': process.env.RHINO_COMPUTE_KEY }
-  }
-
-  const response = await fetch( process.env.RHINO_COMPUTE_URL + 'version', request )
-  console.log(response)
-  const result = await response.json()
-
+  const versions = await Promise.all(backends.all().map(async backend => {
+    try {
+      return Object.assign({ name: backend.name }, await compute.get('version', { backend, retries: 0 }))
+    } catch (error) {
+      return { name: backend.name, error: error.message }
+    }
+  }))
+
+  const first = versions.find(version => !version.error) || {}
+  const result = Object.assign({}, first)
+  delete result.name
   result.appserver = appserverVersion
-
-  console.log(result)
+  result.backends = versions
 
   return result
-
 }
 
 module.exports = { getVersion }
@@ -0,0 +1,70 @@
+/**
+ * Old versions of uploaded definitions
+ *
+ * Every version of a definition published through the /definitions api is
+ * kept in DEFINITION_VERSIONS_DIR (default: files/.versions), one directory
+ * per definition with a file per version named after its md5 hash:
+ *   files/.versions/myDefinition.gh/<md5>.gh
+ *   files/.versions/cnc/profiler.gh/<md5>.gh
+ *
+ * Clients can pin a version with `myDefinition.gh@<md5>` and a definition can
+ * be rolled back to any of its versions.
+ */
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const VERSIONS_DIR = process.env.DEFINITION_VERSIONS_DIR || path.join(__dirname, 'files', '.versions')
+
+// names can have folders (see roots.js), which are kept
+function versionDir(name) {
+  return path.join(VERSIONS_DIR, ...name.split('/').filter(segment => segment && segment !== '..'))
+}
+
+function versionPath(name, id) {
+  return path.join(versionDir(name), path.basename(id) + path.extname(name))
+}
+
+/**
+ * Store a version of a definition, returns its id (the md5 of the file)
+ */
+async function saveVersion(name, buffer) {
+  const id = crypto.createHash('md5').update(buffer).digest('hex')
+  const file = versionPath(name, id)
+  if (!fs.existsSync(file)) {
+    await fs.promises.mkdir(versionDir(name), { recursive: true })
+    await fs.promises.writeFile(file, buffer)
+  }
+  return id
+}
+
+/**
+ * Path to a stored version, or undefined if there is no such version
+ */
+function getVersion(name, id) {
+  if (!/^[0-9a-f]{32}$/.test(id)) return undefined
+  const file = versionPath(name, id)
+  return fs.existsSync(file) ? file : undefined
+}
+
+/**
+ * All stored versions of a definition, newest first
+ */
+async function listVersions(name) {
+  let files
+  try {
+    files = await fs.promises.readdir(versionDir(name))
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  const versions = []
+  for (const file of files) {
+    const stat = await fs.promises.stat(path.join(versionDir(name), file))
+    versions.push({ id: path.parse(file).name, size: stat.size, createdAt: stat.mtimeMs })
+  }
+  return versions.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+module.exports = { saveVersion, getVersion, listVersions, VERSIONS_DIR }
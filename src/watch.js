@@ -0,0 +1,223 @@
+/**
+ * Watch the definition roots (see roots.js) for changes
+ *
+ * Under throng only the cluster master watches the roots and tells every
+ * worker when something changed, so all workers refresh at the same time.
+ * A process that isn't part of a cluster watches the directory itself.
+ *
+ * The master also picks the one worker that fetches the metadata of
+ * definitions (see definitions.keepInSync), and another one when it exits.
+ *
+ * Where fs.watch can't watch a tree at once (Linux before Node 19), every
+ * folder is watched on its own. When even that fails, e.g. when the system
+ * runs out of inotify watches, the roots are polled every POLL_INTERVAL.
+ *
+ * Set DEFINITIONS_WATCH=false to turn watching off.
+ */
+const cluster = require('cluster')
+const fs = require('fs')
+const path = require('path')
+const { definitionRoots, isHidden } = require('./roots')
+
+const MESSAGE = 'appserver:definitions'
+const POLL_INTERVAL = 5 * 1000
+
+let warned = false
+
+function enabled() {
+  return process.env.DEFINITIONS_WATCH !== 'false'
+}
+
+function warnOnce(message) {
+  if (warned) return
+  warned = true
+  console.warn(message)
+}
+
+/**
+ * A directory and all its folders, without dot folders
+ */
+function directories(dir) {
+  let entries
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true })
+  } catch (error) {
+    return []
+  }
+  return [dir].concat(...entries
+    .filter(entry => entry.isDirectory() && !isHidden(entry.name))
+    .map(entry => directories(path.join(dir, entry.name))))
+}
+
+/**
+ * The files in a directory and its folders with their size and modification
+ * time, to tell whether something changed
+ */
+function snapshot(dir) {
+  return directories(dir).map(folder => {
+    let entries
+    try {
+      entries = fs.readdirSync(folder, { withFileTypes: true })
+    } catch (error) {
+      return ''
+    }
+    return entries
+      .filter(entry => entry.isFile() && !isHidden(entry.name))
+      .map(entry => {
+        const file = path.join(folder, entry.name)
+        try {
+          const stat = fs.statSync(file)
+          return `${file}:${stat.size}:${stat.mtimeMs}`
+        } catch (error) {
+          return file
+        }
+      })
+      .join('\n')
+  }).join('\n')
+}
+
+function pollDirectory(dir, onChange, reason) {
+  warnOnce(`Unable to watch ${dir} for definition changes (${reason.message}), checking every ${POLL_INTERVAL / 1000}s instead`)
+  let last = snapshot(dir)
+  setInterval(() => {
+    const current = snapshot(dir)
+    if (current === last) return
+    last = current
+    onChange()
+  }, POLL_INTERVAL).unref()
+}
+
+/**
+ * Watch every folder of a tree on its own, watching folders as they are
+ * added. Falls back to polling when a folder can't be watched.
+ */
+function watchFolders(dir, onEvent, onChange) {
+  const watchers = new Map()
+  let polling = false
+
+  function sync() {
+    if (polling) return
+    const current = directories(dir)
+    for (const [folder, watcher] of watchers) {
+      if (current.includes(folder)) continue
+      watcher.close()
+      watchers.delete(folder)
+    }
+    for (const folder of current.filter(folder => !watchers.has(folder))) {
+      const watcher = fs.watch(folder, (eventType, filename) => {
+        // a folder may have been added or removed
+        if (eventType === 'rename') trySync()
+        onEvent(eventType, filename)
+      })
+      watcher.on('error', () => {
+        watcher.close()
+        watchers.delete(folder)
+      })
+      watchers.set(folder, watcher)
+    }
+  }
+
+  function trySync() {
+    try {
+      sync()
+    } catch (error) {
+      polling = true
+      watchers.forEach(watcher => watcher.close())
+      watchers.clear()
+      pollDirectory(dir, onChange, error)
+    }
+  }
+
+  trySync()
+}
+
+/**
+ * Call onChange once things settle down after a change in a directory or
+ * any of its folders (editors and copies fire several events per file).
+ * Changes in dot folders and to dot files are ignored.
+ */
+function watchDirectory(dir, onChange) {
+  let timer = null
+  const onEvent = (eventType, filename) => {
+    if (filename && isHidden(filename)) return
+    clearTimeout(timer)
+    timer = setTimeout(onChange, 500)
+  }
+  try {
+    fs.watch(dir, { recursive: true }, onEvent)
+      .on('error', error => console.error('Definition watcher failed:', error.message))
+  } catch (error) {
+    if (error.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      watchFolders(dir, onEvent, onChange)
+    } else {
+      pollDirectory(dir, onChange, error)
+    }
+  }
+}
+
+/**
+ * Called from the cluster master. Tells every worker to refresh its
+ * definitions when one of the definition roots changes.
+ */
+function watchForWorkers() {
+  if (!enabled()) return
+  for (const dir of definitionRoots()) {
+    watchDirectory(dir, () => {
+      for (const id in cluster.workers)
+        cluster.workers[id].send({ [MESSAGE]: 'refresh' })
+    })
+  }
+}
+
+/**
+ * Called from the cluster master. Tells one of the workers that are ready
+ * to fetch the metadata of definitions, and the next one when it exits.
+ */
+function chooseWarmer() {
+  let ready = []
+  let warmer = null
+
+  const choose = () => {
+    if (warmer && ready.includes(warmer)) return
+    warmer = ready[0] || null
+    if (warmer) warmer.send({ [MESSAGE]: 'warm' })
+  }
+
+  cluster.on('message', (worker, message) => {
+    if (!message || message[MESSAGE] !== 'ready') return
+    ready.push(worker)
+    choose()
+  })
+  cluster.on('exit', worker => {
+    ready = ready.filter(w => w !== worker)
+    choose()
+  })
+}
+
+/**
+ * Call onWarm when this process should fetch the metadata of definitions:
+ * right away outside a cluster, when the cluster master picks it otherwise
+ */
+function whenWarmer(onWarm) {
+  if (!cluster.isWorker) return onWarm()
+  process.on('message', message => {
+    if (message && message[MESSAGE] === 'warm') onWarm()
+  })
+  process.send({ [MESSAGE]: 'ready' })
+}
+
+/**
+ * Call onChange when the definitions in the definition roots change
+ */
+function watchDefinitions(onChange) {
+  if (!enabled()) return
+  if (cluster.isWorker) {
+    process.on('message', message => {
+      if (message && message[MESSAGE] === 'refresh') onChange()
+    })
+  } else {
+    definitionRoots().forEach(dir => watchDirectory(dir, onChange))
+  }
+}
+
+module.exports = { watchForWorkers, watchDefinitions, chooseWarmer, whenWarmer }
@@ -0,0 +1,52 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { start } = require('./helpers.js')
+
+const KEYS_FILE = path.join(os.tmpdir(), `appserver-test-keys-${process.pid}.json`)
+
+// the mock doesn't read the drawing, and the template is too big for a query string
+const SMALL_DXF = Buffer.from('0\nEOF\n').toString('base64')
+const ROUTE = `/solve/cncProfiler-v0.8.gh?Tool%20Diameter=0.25&b64DXF=${encodeURIComponent(SMALL_DXF)}`
+
+describe('solves with API keys', () => {
+  let server
+  before(async () => {
+    fs.writeFileSync(KEYS_FILE, JSON.stringify({
+      keys: [{ name: 'cnc', key: 'cnc-key', scopes: ['solve'], definitions: ['cncProfiler-*'] }]
+    }))
+    server = await start({ APPSERVER_KEYS_FILE: KEYS_FILE, APPSERVER_PUBLIC_SCOPES: 'solve' })
+  })
+  after(async () => {
+    await server.stop()
+    fs.rmSync(KEYS_FILE, { force: true })
+  })
+
+  it('keeps results of requests with credentials out of shared caches', async () => {
+    const res = await server.request(ROUTE, { headers: { 'X-Api-Key': 'cnc-key' } })
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.headers.get('cache-control'), 'private, max-age=3600')
+    assert.match(res.headers.get('vary'), /^Authorization, X-Api-Key\b/)
+
+    const head = await server.request(ROUTE, { method: 'HEAD', headers: { Authorization: 'Bearer cnc-key' } })
+    assert.strictEqual(head.headers.get('cache-control'), 'private, max-age=3600')
+  })
+
+  it('lets shared caches keep results anyone may get', async () => {
+    const res = await server.request(ROUTE)
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.headers.get('cache-control'), 'public, max-age=3600')
+  })
+
+  it('rejects keys that may not use the definition', async () => {
+    fs.writeFileSync(KEYS_FILE, JSON.stringify({
+      keys: [{ name: 'other', key: 'other-key', scopes: ['solve'], definitions: ['other/*'] }]
+    }))
+    // the keys file is reloaded every second
+    await new Promise(resolve => setTimeout(resolve, 1100))
+    const res = await server.request(ROUTE, { headers: { 'X-Api-Key': 'other-key' } })
+    assert.strictEqual(res.status, 403)
+  })
+})
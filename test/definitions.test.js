@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { start, ADMIN_KEY } = require('./helpers.js')
+
+const FILES_DIR = path.join(__dirname, '../src/files')
+// uploads are published to the files directory, under a folder of their own
+const FOLDER = `test-upload-${process.pid}`
+
+/**
+ * A multipart body with the file in the 'definition' field
+ */
+function multipart(filename, content) {
+  const boundary = `----appserver-test-${Date.now()}`
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="name"\r\n\r\n${filename}\r\n`),
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="definition"; filename="${path.basename(filename)}"\r\n`),
+    Buffer.from('Content-Type: application/octet-stream\r\n\r\n'),
+    content,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ])
+  return {
+    method: 'POST',
+    body,
+    headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'X-Api-Key': ADMIN_KEY }
+  }
+}
+
+describe('/definitions with DEFINITION_TRANSFER=url', () => {
+  let server
+  before(async () => {
+    server = await start({ DEFINITION_TRANSFER: 'url' })
+    // compute downloads registered definitions from the appserver
+    process.env.APPSERVER_URL = server.url
+  })
+  after(async () => {
+    await server.stop()
+    fs.rmSync(path.join(FILES_DIR, FOLDER), { recursive: true, force: true })
+  })
+
+  it('validates uploads with compute before publishing them', async () => {
+    // the mock knows the .ghx, but it isn't registered, so compute can't download it
+    const name = `${FOLDER}/profiler.ghx`
+    const content = fs.readFileSync(path.join(FILES_DIR, 'cncProfiler-v0.8.ghx'))
+    const res = await server.request('/definitions', multipart(name, content))
+    assert.strictEqual(res.status, 201)
+    assert.strictEqual(res.body.name, name)
+
+    const info = await server.request(`/definition/${encodeURIComponent(name)}/info`)
+    assert.strictEqual(info.status, 200)
+    assert.ok(info.body.inputs.some(input => input.name === 'Tool Diameter'))
+  })
+
+  it('rejects uploads compute can not load', async () => {
+    const res = await server.request('/definitions', multipart(`${FOLDER}/broken.gh`, Buffer.from('not a definition')))
+    assert.strictEqual(res.status, 422)
+    assert.ok(!fs.existsSync(path.join(FILES_DIR, FOLDER, 'broken.gh')))
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * Start the appserver against the mock compute server (see mock/compute.js),
+ * both on ephemeral ports
+ *
+ * The appserver reads most of its configuration when it is loaded, so every
+ * test file runs in its own process and calls start() once, with the
+ * environment variables it needs. Files the appserver writes go to a
+ * temporary directory that is removed by stop().
+ */
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const fetch = require('node-fetch')
+const { mockCompute } = require('../src/mock/compute.js')
+
+const ADMIN_KEY = 'test-admin-key'
+
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server))
+    server.on('error', reject)
+  })
+}
+
+function urlOf(server) {
+  return `http://127.0.0.1:${server.address().port}`
+}
+
+/**
+ * @param {object} [env] environment variables for the appserver
+ * @param {object} [mockOptions] options of the mock compute server
+ * @returns {object} { url, mockUrl, request, stop } request(path, options)
+ *   fetches from the appserver and parses json bodies
+ */
+async function start(env = {}, mockOptions = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'appserver-test-'))
+  const mock = await listen(mockCompute(mockOptions))
+
+  Object.assign(process.env, {
+    NODE_ENV: 'test',
+    RHINO_COMPUTE_URL: urlOf(mock) + '/',
+    APPSERVER_ADMIN_KEY: ADMIN_KEY,
+    DEFINITIONS_WATCH: 'false',
+    DEFINITION_METADATA_DIR: path.join(dir, 'metadata'),
+    DEFINITION_VERSIONS_DIR: path.join(dir, 'versions'),
+    REGRESSION_RESULTS: path.join(dir, 'regression.json'),
+    POWER_LOG: 'off'
+  }, env)
+
+  const app = require('../src/app.js')
+  const { registerDefinitions } = require('../src/definitions.js')
+  app.set('definitions', registerDefinitions())
+  const server = await listen(app)
+  const url = urlOf(server)
+
+  async function request(route, options = {}) {
+    const init = Object.assign({}, options, { headers: Object.assign({}, options.headers) })
+    if (options.json !== undefined) {
+      init.method = init.method || 'POST'
+      init.body = JSON.stringify(options.json)
+      init.headers['Content-Type'] = 'application/json'
+    }
+    const res = await fetch(url + route, init)
+    const text = await res.text()
+    let body = text
+    if (text && /json/.test(res.headers.get('content-type')))
+      body = JSON.parse(text)
+    return { status: res.status, headers: res.headers, body }
+  }
+
+  async function stop() {
+    await Promise.all([server, mock].map(s => new Promise(resolve => s.close(resolve))))
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+
+  return { url, mockUrl: urlOf(mock), request, stop }
+}
+
+/**
+ * Call check until it returns something truthy, or fail after timeout ms
+ */
+async function waitFor(check, timeout = 10000, interval = 100) {
+  const deadline = Date.now() + timeout
+  for (;;) {
+    const result = await check()
+    if (result) return result
+    if (Date.now() > deadline) throw new Error(`Gave up waiting after ${timeout} ms`)
+    await new Promise(resolve => setTimeout(resolve, interval))
+  }
+}
+
+/**
+ * The inputs of the regression case of cncProfiler-v0.8.gh, with the
+ * template drawing of the CNC page
+ */
+function cncInputs(overrides = {}) {
+  const dxf = fs.readFileSync(path.join(__dirname, '../src/pages/cnc/files/Template.dxf'))
+  return Object.assign({
+    'b64DXF': dxf.toString('base64'),
+    'Total Cut Depth': 1,
+    'Cut StepDown': 0.25,
+    'Tool Diameter': 0.5,
+    'Bridge Width': 0.25,
+    'Max Bridge Spacing': 12,
+    'BIDGE HEIGHT': 0.15,
+    'Inside Tabs': false,
+    'Center Tabs': false,
+    'Outside Tabs': true,
+    'Safe Z Height': 2,
+    'Feed Rate': 50,
+    'Spindal RPM': 5000
+  }, overrides)
+}
+
+module.exports = { start, waitFor, cncInputs, ADMIN_KEY }
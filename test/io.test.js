@@ -0,0 +1,43 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { start } = require('./helpers.js')
+
+const algo = fs.readFileSync(path.join(__dirname, '../src/files/cncProfiler-v0.8.gh')).toString('base64')
+const pointer = 'md5_' + crypto.createHash('md5').update(algo).digest('hex')
+
+describe('/io', () => {
+  let server
+  before(async () => {
+    server = await start()
+  })
+  after(() => server.stop())
+
+  it('returns the inputs and outputs of a definition sent as algo', async () => {
+    const res = await server.request('/io', { json: { algo, pointer } })
+    assert.strictEqual(res.status, 200)
+    assert.ok(res.body.Inputs.some(input => input.Name === 'Tool Diameter'))
+    assert.ok(res.body.Outputs.some(output => output.Name === 'GCode'))
+  })
+
+  it('accepts the pointer once compute has the definition', async () => {
+    const res = await server.request('/io', { json: { pointer } })
+    assert.strictEqual(res.status, 200)
+    assert.ok(res.body.Inputs.length > 0)
+  })
+
+  it('rejects bodies without a definition', async () => {
+    const empty = await server.request('/io', { json: {} })
+    assert.strictEqual(empty.status, 400)
+    const list = await server.request('/io', { json: [] })
+    assert.strictEqual(list.status, 400)
+  })
+
+  it('rejects url pointers', async () => {
+    const res = await server.request('/io', { json: { pointer: 'http://example.com/definition.gh' } })
+    assert.strictEqual(res.status, 400)
+    assert.match(res.body.message, /Url pointers are not allowed/)
+  })
+})
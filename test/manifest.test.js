@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { applyManifest } = require('../src/manifest.js')
+
+function definitionWith(inputs) {
+  return { name: 'range.gh', manifest: { inputs } }
+}
+
+describe('manifest ranges', () => {
+  const params = {
+    inputs: [
+      { name: 'Slider', paramType: 'Number', minimum: 1, maximum: 10 },
+      { name: 'Free', paramType: 'Number', minimum: null, maximum: null },
+      { name: 'Half', paramType: 'Number', minimum: 0, maximum: null }
+    ],
+    outputs: []
+  }
+  const range = { minimum: -5, maximum: 5 }
+  const merged = applyManifest(definitionWith({ Slider: range, Free: range, Half: range }), params).inputs
+  const rangeOf = name => {
+    const input = merged.find(i => i.name === name)
+    return [input.minimum, input.maximum]
+  }
+
+  it('keeps the range compute reports', () => {
+    assert.deepStrictEqual(rangeOf('Slider'), [1, 10])
+  })
+
+  it('fills in a range compute does not report', () => {
+    assert.deepStrictEqual(rangeOf('Free'), [-5, 5])
+  })
+
+  it('fills in each missing bound on its own', () => {
+    assert.deepStrictEqual(rangeOf('Half'), [0, 5])
+  })
+
+  it('still applies the other hints', () => {
+    const input = applyManifest(definitionWith({ Slider: { label: 'Size', minimum: 0 } }), params).inputs[0]
+    assert.strictEqual(input.label, 'Size')
+    assert.strictEqual(input.minimum, 1)
+  })
+})
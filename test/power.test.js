@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { start, waitFor, cncInputs } = require('./helpers.js')
+
+// the fake VM of this process (see FakeProvider in power.js)
+const VM_FILE = path.join(os.tmpdir(), `appserver-fake-vm-${process.pid}.json`)
+
+describe('power with the fake provider', () => {
+  let server
+  let power
+  before(async () => {
+    fs.rmSync(VM_FILE, { force: true })
+    server = await start({
+      POWER_PROVIDER: 'fake',
+      FAKE_VM_STATE: 'deallocated',
+      FAKE_VM_DELAY: '1',
+      POWER_WAKE_ON_SOLVE: 'true',
+      POWER_IDLE_TIMEOUT: '0',
+      POWER_START_GRACE: '0'
+    })
+    power = require('../src/power.js')
+  })
+  after(async () => {
+    await server.stop()
+    fs.rmSync(VM_FILE, { force: true })
+  })
+
+  const state = async () => (await server.request('/power/status')).body.state
+
+  it('reports the fake VM', async () => {
+    const res = await server.request('/power/status')
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.body.provider, 'fake')
+    assert.strictEqual(res.body.managed, true)
+    assert.strictEqual(res.body.wakeOnSolve, true)
+    assert.strictEqual(res.body.state, 'deallocated')
+  })
+
+  it('starts the VM on /wakeup', async () => {
+    const res = await server.request('/wakeup', { method: 'POST' })
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(res.body.message, 'Start command sent.')
+    assert.strictEqual(await state(), 'starting')
+    await waitFor(async () => await state() === 'running')
+  })
+
+  it('stops the VM when it is idle', async () => {
+    await power.checkIdle()
+    assert.strictEqual(await state(), 'deallocating')
+  })
+
+  it('lets the VM stop, then starts it for a solve and waits for it', async () => {
+    // the fake VM, like azure, fails to start while it is deallocating
+    const res = await server.request('/solve', { json: { definition: 'cncProfiler-v0.8.gh', inputs: cncInputs() } })
+    assert.strictEqual(res.status, 200)
+    assert.strictEqual(await state(), 'running')
+  })
+})
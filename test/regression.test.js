@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { start, ADMIN_KEY } = require('./helpers.js')
+
+const DEFINITION = 'cncProfiler-v0.8.gh'
+
+// recorded from the mock fixtures, the cases of the real definition don't pass against the mock
+const CASES_DIR = path.join(__dirname, 'fixtures/cases')
+
+describe('/regression', () => {
+  let server
+  before(async () => {
+    server = await start({ REGRESSION_CASES_DIR: CASES_DIR })
+  })
+  after(() => server.stop())
+
+  it('has no results before a run', async () => {
+    const res = await server.request('/regression')
+    assert.strictEqual(res.status, 200)
+    assert.deepStrictEqual(res.body, {})
+  })
+
+  it('only lets admins run the cases', async () => {
+    const res = await server.request('/regression', { method: 'POST' })
+    assert.strictEqual(res.status, 401)
+  })
+
+  it('passes the cases recorded from the mock fixtures', async () => {
+    const res = await server.request('/regression', { method: 'POST', headers: { 'X-Api-Key': ADMIN_KEY } })
+    assert.strictEqual(res.status, 200)
+    const report = res.body.find(r => r.definition === DEFINITION)
+    assert.deepStrictEqual(report.counts, { passed: 1, failed: 0, error: 0, skipped: 0, updated: 0 })
+
+    const latest = await server.request('/regression')
+    assert.deepStrictEqual(latest.body[DEFINITION].counts, report.counts)
+  })
+
+  it('compares geometry apart from its archive version', async () => {
+    const file = path.join(CASES_DIR, `${path.basename(DEFINITION, '.gh')}.cases.json`)
+    const suite = JSON.parse(fs.readFileSync(file, 'utf8'))
+    for (const testCase of suite.cases) {
+      const dxf = testCase.inputs.b64DXF
+      dxf.$file = path.resolve(CASES_DIR, dxf.$file)
+      for (const output of Object.values(testCase.outputs)) {
+        for (const items of Object.values(output.tree))
+          items.filter(item => item.opennurbs).forEach(item => { item.opennurbs += 1 })
+      }
+    }
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'appserver-cases-'))
+    fs.writeFileSync(path.join(dir, path.basename(file)), JSON.stringify(suite))
+    process.env.REGRESSION_CASES_DIR = dir
+    try {
+      const res = await server.request(`/regression?definition=${DEFINITION}`, { method: 'POST', headers: { 'X-Api-Key': ADMIN_KEY } })
+      assert.strictEqual(res.status, 200)
+      assert.deepStrictEqual(res.body[0].counts, { passed: 1, failed: 0, error: 0, skipped: 0, updated: 0 })
+    } finally {
+      process.env.REGRESSION_CASES_DIR = CASES_DIR
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  it('reports as JUnit XML', async () => {
+    const res = await server.request(`/regression?definition=${DEFINITION}&format=junit`, { method: 'POST', headers: { 'X-Api-Key': ADMIN_KEY } })
+    assert.strictEqual(res.status, 200)
+    assert.match(res.headers.get('content-type'), /xml/)
+    assert.match(res.body, /<testsuites/)
+  })
+
+  it('answers definitions without cases with a 404', async () => {
+    const res = await server.request('/regression?definition=nope.gh', { method: 'POST', headers: { 'X-Api-Key': ADMIN_KEY } })
+    assert.strictEqual(res.status, 404)
+  })
+})
@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('assert')
+const path = require('path')
+const fetch = require('node-fetch')
+const { start, waitFor, cncInputs } = require('./helpers.js')
+
+const DEFINITION = 'cncProfiler-v0.8.gh'
+
+// the bundled fixtures and the errors only the tests need
+const FIXTURES = ['../src/mock/fixtures', 'fixtures/mock'].map(dir => path.join(__dirname, dir))
+
+// the mock doesn't read the drawing, and the template is too big for a query string
+const SMALL_DXF = Buffer.from('0\nEOF\n').toString('base64')
+
+function output(result, name) {
+  const value = result.values.find(v => v.ParamName === `RH_OUT:${name}`)
+  return value && value.InnerTree['{0}'][0].data
+}
+
+describe('/solve', () => {
+  let server
+  before(async () => {
+    server = await start({}, { fixtures: FIXTURES })
+  })
+  after(() => server.stop())
+
+  it('solves json inputs and caches the result', async () => {
+    const body = { definition: DEFINITION, inputs: cncInputs() }
+    const first = await server.request('/solve', { json: body })
+    assert.strictEqual(first.status, 200)
+    assert.strictEqual(first.headers.get('x-cache'), 'MISS')
+    assert.match(output(first.body, 'GCode'), /Generated by the mock compute server/)
+
+    const second = await server.request('/solve', { json: body })
+    assert.strictEqual(second.status, 200)
+    assert.strictEqual(second.headers.get('x-cache'), 'HIT')
+    assert.deepStrictEqual(second.body, first.body)
+  })
+
+  it('rejects unknown inputs and definitions', async () => {
+    const unknownInput = await server.request('/solve', { json: { definition: DEFINITION, inputs: { Nope: 1 } } })
+    assert.strictEqual(unknownInput.status, 400)
+    assert.ok(unknownInput.body.parameters.includes('Tool Diameter'))
+
+    const unknownDefinition = await server.request('/solve', { json: { definition: 'nope.gh', inputs: {} } })
+    assert.strictEqual(unknownDefinition.status, 404)
+  })
+
+  it('passes Grasshopper errors on', async () => {
+    const res = await server.request('/solve', { json: { definition: DEFINITION, inputs: cncInputs({ 'Tool Diameter': 0 }) } })
+    assert.strictEqual(res.status, 500)
+    assert.strictEqual(res.body.code, 'grasshopper')
+    assert.match(res.body.message, /Tool Diameter must be larger than 0/)
+  })
+
+  it('sends the definition again only when compute is missing it', async () => {
+    await fetch(`${server.mockUrl}/mock/requests`, { method: 'DELETE' })
+    const res = await server.request('/solve', { json: { definition: DEFINITION, inputs: cncInputs({ 'Tool Diameter': 0.125 }) } })
+    assert.strictEqual(res.status, 500)
+    assert.match(res.body.message, /Layer not found/)
+
+    const requests = await (await fetch(`${server.mockUrl}/mock/requests`)).json()
+    assert.strictEqual(requests.filter(r => r.url === '/grasshopper').length, 1)
+  })
+
+  it('solves query string inputs with GET and HEAD', async () => {
+    const route = `/solve/${DEFINITION}?Tool%20Diameter=0.25&b64DXF=${encodeURIComponent(SMALL_DXF)}`
+    const get = await server.request(route)
+    assert.strictEqual(get.status, 200)
+    assert.match(output(get.body, 'GCode'), /^"\(Generated/)
+    const hash = get.headers.get('x-result-hash')
+    assert.ok(hash)
+    assert.strictEqual(get.headers.get('etag'), `"${hash}"`)
+    assert.strictEqual(get.headers.get('cache-control'), 'public, max-age=3600')
+
+    const head = await server.request(route, { method: 'HEAD' })
+    assert.strictEqual(head.status, 200)
+    assert.strictEqual(head.body, '')
+    assert.strictEqual(head.headers.get('x-cache'), 'HIT')
+    assert.strictEqual(head.headers.get('x-result-hash'), hash)
+  })
+
+  it('answers query inputs that are not numbers or booleans with a 422', async () => {
+    const query = 'Tool%20Diameter=abc&Feed%20Rate=Infinity&Cut%20StepDown=0x10&Inside%20Tabs=yes'
+    const res = await server.request(`/solve/${DEFINITION}?${query}&b64DXF=${encodeURIComponent(SMALL_DXF)}`)
+    assert.strictEqual(res.status, 422)
+    assert.deepStrictEqual(res.body.errors.map(e => e.name), ['Tool Diameter', 'Feed Rate', 'Cut StepDown', 'Inside Tabs'])
+    assert.ok(res.body.errors.every(e => e.code === 'type'))
+  })
+
+  it('uses the default for blank query inputs', async () => {
+    const dxf = `b64DXF=${encodeURIComponent(SMALL_DXF)}`
+    const blank = await server.request(`/solve/${DEFINITION}?Tool%20Diameter=%20&Inside%20Tabs=&${dxf}`)
+    assert.strictEqual(blank.status, 200)
+    const defaults = await server.request(`/solve/${DEFINITION}?Tool%20Diameter=0.5&Inside%20Tabs=off&${dxf}`)
+    assert.strictEqual(defaults.headers.get('x-cache'), 'HIT')
+  })
+
+  it('answers json inputs that are not finite numbers with a 422', async () => {
+    const res = await server.request('/solve', { json: { definition: DEFINITION, inputs: cncInputs({ 'Tool Diameter': 'Infinity', 'Feed Rate': ' ' }) } })
+    assert.strictEqual(res.status, 422)
+    assert.deepStrictEqual(res.body.errors.map(e => e.name), ['Tool Diameter', 'Feed Rate'])
+  })
+
+  it('solves in a job', async () => {
+    const created = await server.request('/solve/jobs', { json: { definition: DEFINITION, inputs: cncInputs({ 'Feed Rate': 60 }) } })
+    assert.strictEqual(created.status, 202)
+    assert.strictEqual(created.headers.get('location'), `/solve/jobs/${created.body.id}`)
+
+    const job = await waitFor(async () => {
+      const res = await server.request(`/solve/jobs/${created.body.id}`)
+      assert.strictEqual(res.status, 200)
+      return ['succeeded', 'failed', 'cancelled'].includes(res.body.status) && res.body
+    })
+    assert.strictEqual(job.status, 'succeeded')
+    assert.strictEqual(job.definition, DEFINITION)
+    assert.match(output(job.result, 'GCode'), /Generated by the mock compute server/)
+  })
+
+  it('answers unknown jobs with a 404', async () => {
+    const res = await server.request('/solve/jobs/nope')
+    assert.strictEqual(res.status, 404)
+  })
+})